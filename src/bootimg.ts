@@ -0,0 +1,763 @@
+import * as common from "./common";
+
+const BOOT_MAGIC = "ANDROID!";
+const VENDOR_BOOT_MAGIC = "VNDRBOOT";
+
+// Sizes of the header fields and structures, from AOSP bootimg.h
+const BOOT_NAME_SIZE = 16;
+const BOOT_ARGS_SIZE = 512;
+const BOOT_EXTRA_ARGS_SIZE = 1024;
+const BOOT_ID_SIZE = 32;
+const BOOT_V3_ARGS_SIZE = 1536;
+const VENDOR_BOOT_ARGS_SIZE = 2048;
+const VENDOR_RAMDISK_NAME_SIZE = 32;
+const VENDOR_RAMDISK_BOARD_ID_SIZE = 16;
+
+const BOOT_V0_HEADER_SIZE = 1632;
+const BOOT_V1_HEADER_SIZE = 1648;
+const BOOT_V2_HEADER_SIZE = 1660;
+const BOOT_V3_HEADER_SIZE = 1580;
+const BOOT_V4_HEADER_SIZE = 1584;
+const VENDOR_BOOT_V3_HEADER_SIZE = 2112;
+const VENDOR_BOOT_V4_HEADER_SIZE = 2128;
+const VENDOR_RAMDISK_ENTRY_SIZE = 108;
+
+// v3+ boot images always use 4 KiB pages
+const BOOT_V3_PAGE_SIZE = 4096;
+// Enough to contain every supported header
+const MAX_HEADER_SIZE = 4096;
+
+// Defaults used by AOSP mkbootimg and fastboot
+const DEFAULT_PAGE_SIZE = 2048;
+const DEFAULT_BASE = 0x10000000;
+const DEFAULT_KERNEL_OFFSET = 0x00008000;
+const DEFAULT_RAMDISK_OFFSET = 0x01000000;
+const DEFAULT_SECOND_OFFSET = 0x00f00000;
+const DEFAULT_TAGS_OFFSET = 0x00000100;
+const DEFAULT_DTB_OFFSET = 0x01f00000;
+
+/**
+ * Exception class for invalid or unsupported boot images.
+ */
+export class BootImageError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = "BootImageError";
+    }
+}
+
+/**
+ * Types of vendor ramdisks in vendor_boot v4 images.
+ *
+ * @enum {number}
+ */
+export enum VendorRamdiskType {
+    None = 0,
+    Platform = 1,
+    Recovery = 2,
+    Dlkm = 3,
+}
+
+/**
+ * Contents of a boot image (boot, init_boot, or recovery), header versions 0
+ * to 4. Sections are Blobs referencing the original image, so they can be
+ * replaced and the image rebuilt with {@link createBootImage}.
+ *
+ * @typedef {Object} BootImage
+ * @property {number} headerVersion - Boot image header version, 0 to 4.
+ * @property {number} pageSize - Page size that sections are aligned to. Always 4096 for v3+.
+ * @property {Blob} kernel - Kernel image, empty for init_boot.
+ * @property {Blob} ramdisk - Ramdisk, usually a compressed cpio archive.
+ * @property {Blob} second - Second stage bootloader (v0-2).
+ * @property {Blob} recoveryDtbo - Recovery DTBO or ACPIO image (v1-2).
+ * @property {Blob} dtb - Device tree blob (v2).
+ * @property {Blob} signature - GKI boot signature (v4). Edits to the kernel or ramdisk invalidate it.
+ * @property {string} cmdline - Kernel command line.
+ * @property {string} name - Product name (v0-2).
+ * @property {string} osVersion - Android version, e.g. 13.0.0, or null if not set.
+ * @property {string} osPatchLevel - Security patch level as YYYY-MM, or null if not set.
+ * @property {number} kernelAddress - Physical load address of the kernel (v0-2).
+ * @property {number} ramdiskAddress - Physical load address of the ramdisk (v0-2).
+ * @property {number} secondAddress - Physical load address of the second stage (v0-2).
+ * @property {number} tagsAddress - Physical address of the kernel tags (v0-2).
+ * @property {number} dtbAddress - Physical load address of the DTB (v2).
+ */
+export interface BootImage {
+    headerVersion: number;
+    pageSize: number;
+    kernel: Blob;
+    ramdisk: Blob;
+    second: Blob;
+    recoveryDtbo: Blob;
+    dtb: Blob;
+    signature: Blob;
+    cmdline: string;
+    name: string;
+    osVersion: string | null;
+    osPatchLevel: string | null;
+    kernelAddress: number;
+    ramdiskAddress: number;
+    secondAddress: number;
+    tagsAddress: number;
+    dtbAddress: number;
+}
+
+/**
+ * A ramdisk in a vendor_boot image.
+ *
+ * @typedef {Object} VendorRamdisk
+ * @property {string} name - Name of the ramdisk, empty for v3.
+ * @property {VendorRamdiskType} type - Type of the ramdisk.
+ * @property {number[]} boardId - Board IDs the ramdisk applies to, 16 values.
+ * @property {Blob} data - Ramdisk data.
+ */
+export interface VendorRamdisk {
+    name: string;
+    type: VendorRamdiskType;
+    boardId: Array<number>;
+    data: Blob;
+}
+
+/**
+ * Contents of a vendor_boot image, header versions 3 and 4.
+ *
+ * @typedef {Object} VendorBootImage
+ * @property {number} headerVersion - Vendor boot header version, 3 or 4.
+ * @property {number} pageSize - Page size that sections are aligned to.
+ * @property {VendorRamdisk[]} ramdisks - Vendor ramdisks. v3 images have exactly one.
+ * @property {Blob} dtb - Device tree blob.
+ * @property {string} bootconfig - Boot configuration parameters (v4).
+ * @property {string} cmdline - Vendor part of the kernel command line.
+ * @property {string} name - Product name.
+ * @property {number} kernelAddress - Physical load address of the kernel.
+ * @property {number} ramdiskAddress - Physical load address of the ramdisk.
+ * @property {number} tagsAddress - Physical address of the kernel tags.
+ * @property {number} dtbAddress - Physical load address of the DTB.
+ */
+export interface VendorBootImage {
+    headerVersion: number;
+    pageSize: number;
+    ramdisks: Array<VendorRamdisk>;
+    dtb: Blob;
+    bootconfig: string;
+    cmdline: string;
+    name: string;
+    kernelAddress: number;
+    ramdiskAddress: number;
+    tagsAddress: number;
+    dtbAddress: number;
+}
+
+function alignSize(size: number, pageSize: number) {
+    return Math.ceil(size / pageSize) * pageSize;
+}
+
+function readString(bytes: Uint8Array, offset: number, length: number) {
+    let field = bytes.subarray(offset, offset + length);
+    let end = field.indexOf(0);
+    return new TextDecoder().decode(
+        end === -1 ? field : field.subarray(0, end)
+    );
+}
+
+function writeString(
+    bytes: Uint8Array,
+    offset: number,
+    length: number,
+    value: string,
+    field: string
+) {
+    // Strings must be null-terminated
+    let encoded = new TextEncoder().encode(value);
+    if (encoded.length >= length) {
+        throw new BootImageError(
+            `${field} is too long: ${encoded.length} bytes, maximum ${
+                length - 1
+            }`
+        );
+    }
+    bytes.set(encoded, offset);
+}
+
+function readAddress(view: DataView, offset: number) {
+    return Number(view.getBigUint64(offset, true));
+}
+
+function writeAddress(view: DataView, offset: number, address: number) {
+    view.setBigUint64(offset, BigInt(address), true);
+}
+
+/**
+ * Decode the packed OS version field: 7 bits each for the A.B.C version,
+ * followed by 7 bits for the year since 2000 and 4 bits for the month of the
+ * security patch level.
+ *
+ * @private
+ */
+function decodeOsVersion(value: number) {
+    let version = value >>> 11;
+    let patchLevel = value & 0x7ff;
+    return {
+        osVersion:
+            version === 0
+                ? null
+                : `${(version >>> 14) & 0x7f}.${(version >>> 7) & 0x7f}.${
+                      version & 0x7f
+                  }`,
+        osPatchLevel:
+            patchLevel === 0
+                ? null
+                : `${(patchLevel >>> 4) + 2000}-${String(
+                      patchLevel & 0xf
+                  ).padStart(2, "0")}`,
+    };
+}
+
+function encodeOsVersion(
+    osVersion: string | null,
+    osPatchLevel: string | null
+) {
+    let version = 0;
+    if (osVersion !== null) {
+        let match = osVersion.match(/^(\d+)(?:\.(\d+))?(?:\.(\d+))?$/);
+        if (!match) {
+            throw new BootImageError(`Invalid OS version ${osVersion}`);
+        }
+        let [a, b, c] = match.slice(1).map((n) => parseInt(n ?? "0", 10));
+        if (a > 0x7f || b > 0x7f || c > 0x7f) {
+            throw new BootImageError(`Invalid OS version ${osVersion}`);
+        }
+        version = (a << 14) | (b << 7) | c;
+    }
+
+    let patchLevel = 0;
+    if (osPatchLevel !== null) {
+        let match = osPatchLevel.match(/^(\d{4})-(\d{2})(?:-\d{2})?$/);
+        let year = match ? parseInt(match[1], 10) - 2000 : -1;
+        let month = match ? parseInt(match[2], 10) : -1;
+        if (year < 0 || year > 0x7f || month < 1 || month > 12) {
+            throw new BootImageError(`Invalid OS patch level ${osPatchLevel}`);
+        }
+        patchLevel = (year << 4) | month;
+    }
+
+    return ((version << 11) | patchLevel) >>> 0;
+}
+
+async function readHeader(blob: Blob, magic: string) {
+    let buffer = await common.readBlobAsBuffer(blob.slice(0, MAX_HEADER_SIZE));
+    let bytes = new Uint8Array(buffer);
+    if (
+        bytes.length < magic.length ||
+        readString(bytes, 0, magic.length) !== magic
+    ) {
+        throw new BootImageError(`Image doesn't start with ${magic} magic`);
+    }
+
+    return { bytes: bytes, view: new DataView(buffer) };
+}
+
+// Slices consecutive page-aligned sections, starting after the header
+class SectionReader {
+    private blob: Blob;
+    private pageSize: number;
+    private offset: number;
+
+    constructor(blob: Blob, pageSize: number, headerSize: number) {
+        this.blob = blob;
+        this.pageSize = pageSize;
+        this.offset = alignSize(headerSize, pageSize);
+    }
+
+    next(size: number, name: string) {
+        if (this.offset + size > this.blob.size) {
+            throw new BootImageError(
+                `Image is truncated: ${name} ends at ${
+                    this.offset + size
+                }, image is ${this.blob.size} bytes`
+            );
+        }
+
+        let section = this.blob.slice(this.offset, this.offset + size);
+        this.offset += alignSize(size, this.pageSize);
+        return section;
+    }
+}
+
+// Returns the Blob parts of a section padded to the page size
+function padSection(data: Blob | ArrayBuffer, pageSize: number) {
+    let size = data instanceof Blob ? data.size : data.byteLength;
+    return [data, new ArrayBuffer(alignSize(size, pageSize) - size)];
+}
+
+/**
+ * Check whether a Blob contains a boot image, as opposed to e.g. a bare
+ * kernel.
+ *
+ * @ignore
+ */
+export async function isBootImage(blob: Blob) {
+    let bytes = new Uint8Array(
+        await common.readBlobAsBuffer(blob.slice(0, BOOT_MAGIC.length))
+    );
+    return (
+        bytes.length === BOOT_MAGIC.length &&
+        readString(bytes, 0, BOOT_MAGIC.length) === BOOT_MAGIC
+    );
+}
+
+/**
+ * Parse a boot image (boot, init_boot, or recovery) with header version 0 to
+ * 4. Trailing data such as AVB footers is ignored.
+ *
+ * @param {Blob} blob - Blob containing the boot image.
+ * @returns {Promise<BootImage>} Contents of the boot image.
+ * @throws {BootImageError}
+ */
+export async function parseBootImage(blob: Blob): Promise<BootImage> {
+    let { bytes, view } = await readHeader(blob, BOOT_MAGIC);
+    let headerVersion = view.getUint32(40, true);
+    if (headerVersion > 4) {
+        throw new BootImageError(
+            `Unsupported boot image header version ${headerVersion}`
+        );
+    }
+
+    if (headerVersion >= 3) {
+        let kernelSize = view.getUint32(8, true);
+        let ramdiskSize = view.getUint32(12, true);
+        let signatureSize = headerVersion >= 4 ? view.getUint32(1580, true) : 0;
+        let sections = new SectionReader(
+            blob,
+            BOOT_V3_PAGE_SIZE,
+            view.getUint32(20, true)
+        );
+
+        return {
+            headerVersion: headerVersion,
+            pageSize: BOOT_V3_PAGE_SIZE,
+            kernel: sections.next(kernelSize, "kernel"),
+            ramdisk: sections.next(ramdiskSize, "ramdisk"),
+            second: new Blob([]),
+            recoveryDtbo: new Blob([]),
+            dtb: new Blob([]),
+            signature: sections.next(signatureSize, "boot signature"),
+            cmdline: readString(bytes, 44, BOOT_V3_ARGS_SIZE),
+            name: "",
+            ...decodeOsVersion(view.getUint32(16, true)),
+            kernelAddress: 0,
+            ramdiskAddress: 0,
+            secondAddress: 0,
+            tagsAddress: 0,
+            dtbAddress: 0,
+        };
+    }
+
+    let pageSize = view.getUint32(36, true);
+    if (pageSize === 0 || pageSize > 0x10000) {
+        throw new BootImageError(`Invalid page size ${pageSize}`);
+    }
+
+    let headerSize = [
+        BOOT_V0_HEADER_SIZE,
+        BOOT_V1_HEADER_SIZE,
+        BOOT_V2_HEADER_SIZE,
+    ][headerVersion];
+    let sections = new SectionReader(blob, pageSize, headerSize);
+    let kernel = sections.next(view.getUint32(8, true), "kernel");
+    let ramdisk = sections.next(view.getUint32(16, true), "ramdisk");
+    let second = sections.next(view.getUint32(24, true), "second stage");
+    let recoveryDtbo = sections.next(
+        headerVersion >= 1 ? view.getUint32(1632, true) : 0,
+        "recovery DTBO"
+    );
+    let dtb = sections.next(
+        headerVersion >= 2 ? view.getUint32(1648, true) : 0,
+        "DTB"
+    );
+
+    return {
+        headerVersion: headerVersion,
+        pageSize: pageSize,
+        kernel: kernel,
+        ramdisk: ramdisk,
+        second: second,
+        recoveryDtbo: recoveryDtbo,
+        dtb: dtb,
+        signature: new Blob([]),
+        // The command line overflows into the extra field
+        cmdline:
+            readString(bytes, 64, BOOT_ARGS_SIZE) +
+            readString(bytes, 608, BOOT_EXTRA_ARGS_SIZE),
+        name: readString(bytes, 48, BOOT_NAME_SIZE),
+        ...decodeOsVersion(view.getUint32(44, true)),
+        kernelAddress: view.getUint32(12, true),
+        ramdiskAddress: view.getUint32(20, true),
+        secondAddress: view.getUint32(28, true),
+        tagsAddress: view.getUint32(32, true),
+        dtbAddress: headerVersion >= 2 ? readAddress(view, 1652) : 0,
+    };
+}
+
+/**
+ * Create a boot image, like AOSP mkbootimg. Unspecified fields use the same
+ * defaults as mkbootimg and `fastboot boot kernel ramdisk`, including header
+ * version 0. A parsed {@link BootImage} can be passed to rebuild it after
+ * editing, e.g. appending to the command line or replacing the ramdisk.
+ *
+ * @param {Partial<BootImage>} image - Contents of the boot image.
+ * @returns {Promise<Blob>} Blob containing the new boot image.
+ * @throws {BootImageError}
+ */
+export async function createBootImage(image: Partial<BootImage>) {
+    let headerVersion = image.headerVersion ?? 0;
+    let empty = new Blob([]);
+    let kernel = image.kernel ?? empty;
+    let ramdisk = image.ramdisk ?? empty;
+    let cmdline = image.cmdline ?? "";
+    let osVersion = encodeOsVersion(
+        image.osVersion ?? null,
+        image.osPatchLevel ?? null
+    );
+
+    if (headerVersion >= 3) {
+        if (headerVersion > 4) {
+            throw new BootImageError(
+                `Unsupported boot image header version ${headerVersion}`
+            );
+        }
+
+        let signature = headerVersion >= 4 ? image.signature ?? empty : empty;
+        let headerSize =
+            headerVersion >= 4 ? BOOT_V4_HEADER_SIZE : BOOT_V3_HEADER_SIZE;
+        let header = new ArrayBuffer(headerSize);
+        let bytes = new Uint8Array(header);
+        let view = new DataView(header);
+        bytes.set(new TextEncoder().encode(BOOT_MAGIC), 0);
+        view.setUint32(8, kernel.size, true);
+        view.setUint32(12, ramdisk.size, true);
+        view.setUint32(16, osVersion, true);
+        view.setUint32(20, headerSize, true);
+        view.setUint32(40, headerVersion, true);
+        writeString(bytes, 44, BOOT_V3_ARGS_SIZE, cmdline, "Command line");
+        if (headerVersion >= 4) {
+            view.setUint32(1580, signature.size, true);
+        }
+
+        return new Blob([
+            ...padSection(header, BOOT_V3_PAGE_SIZE),
+            ...padSection(kernel, BOOT_V3_PAGE_SIZE),
+            ...padSection(ramdisk, BOOT_V3_PAGE_SIZE),
+            ...padSection(signature, BOOT_V3_PAGE_SIZE),
+        ]);
+    }
+
+    let pageSize = image.pageSize ?? DEFAULT_PAGE_SIZE;
+    let second = image.second ?? empty;
+    let recoveryDtbo = headerVersion >= 1 ? image.recoveryDtbo ?? empty : empty;
+    let dtb = headerVersion >= 2 ? image.dtb ?? empty : empty;
+    if (headerVersion >= 2 && dtb.size === 0) {
+        throw new BootImageError("Boot image v2 requires a DTB");
+    }
+
+    let headerSize = [
+        BOOT_V0_HEADER_SIZE,
+        BOOT_V1_HEADER_SIZE,
+        BOOT_V2_HEADER_SIZE,
+    ][headerVersion];
+    let header = new ArrayBuffer(headerSize);
+    let bytes = new Uint8Array(header);
+    let view = new DataView(header);
+    bytes.set(new TextEncoder().encode(BOOT_MAGIC), 0);
+    view.setUint32(8, kernel.size, true);
+    view.setUint32(
+        12,
+        image.kernelAddress ?? DEFAULT_BASE + DEFAULT_KERNEL_OFFSET,
+        true
+    );
+    view.setUint32(16, ramdisk.size, true);
+    view.setUint32(
+        20,
+        image.ramdiskAddress ?? DEFAULT_BASE + DEFAULT_RAMDISK_OFFSET,
+        true
+    );
+    view.setUint32(24, second.size, true);
+    view.setUint32(
+        28,
+        image.secondAddress ?? DEFAULT_BASE + DEFAULT_SECOND_OFFSET,
+        true
+    );
+    view.setUint32(
+        32,
+        image.tagsAddress ?? DEFAULT_BASE + DEFAULT_TAGS_OFFSET,
+        true
+    );
+    view.setUint32(36, pageSize, true);
+    view.setUint32(40, headerVersion, true);
+    view.setUint32(44, osVersion, true);
+    writeString(bytes, 48, BOOT_NAME_SIZE, image.name ?? "", "Product name");
+
+    // Like mkbootimg, the command line overflows into the extra field
+    let encoded = new TextEncoder().encode(cmdline);
+    let split = BOOT_ARGS_SIZE - 1;
+    if (encoded.length > split + BOOT_EXTRA_ARGS_SIZE - 1) {
+        throw new BootImageError(
+            `Command line is too long: ${encoded.length} bytes, maximum ${
+                split + BOOT_EXTRA_ARGS_SIZE - 1
+            }`
+        );
+    }
+    bytes.set(encoded.subarray(0, split), 64);
+    bytes.set(encoded.subarray(split), 608);
+
+    if (headerVersion >= 1) {
+        let sectionsBefore =
+            alignSize(headerSize, pageSize) +
+            alignSize(kernel.size, pageSize) +
+            alignSize(ramdisk.size, pageSize) +
+            alignSize(second.size, pageSize);
+        view.setUint32(1632, recoveryDtbo.size, true);
+        writeAddress(view, 1636, recoveryDtbo.size > 0 ? sectionsBefore : 0);
+        view.setUint32(1644, headerSize, true);
+    }
+    if (headerVersion >= 2) {
+        view.setUint32(1648, dtb.size, true);
+        writeAddress(
+            view,
+            1652,
+            image.dtbAddress ?? DEFAULT_BASE + DEFAULT_DTB_OFFSET
+        );
+    }
+
+    // The ID is a SHA-1 hash of each section followed by its size
+    let sections = [kernel, ramdisk, second, recoveryDtbo, dtb].slice(
+        0,
+        3 + headerVersion
+    );
+    let idParts: Array<BlobPart> = [];
+    for (let section of sections) {
+        idParts.push(section, Uint32Array.of(section.size));
+    }
+    let id = await crypto.subtle.digest(
+        "SHA-1",
+        await common.readBlobAsBuffer(new Blob(idParts))
+    );
+    bytes.set(new Uint8Array(id).subarray(0, BOOT_ID_SIZE), 576);
+
+    return new Blob([
+        ...padSection(header, pageSize),
+        ...sections.flatMap((section) => padSection(section, pageSize)),
+    ]);
+}
+
+/**
+ * Parse a vendor_boot image with header version 3 or 4.
+ *
+ * @param {Blob} blob - Blob containing the vendor_boot image.
+ * @returns {Promise<VendorBootImage>} Contents of the vendor_boot image.
+ * @throws {BootImageError}
+ */
+export async function parseVendorBootImage(
+    blob: Blob
+): Promise<VendorBootImage> {
+    let { bytes, view } = await readHeader(blob, VENDOR_BOOT_MAGIC);
+    let headerVersion = view.getUint32(8, true);
+    if (headerVersion < 3 || headerVersion > 4) {
+        throw new BootImageError(
+            `Unsupported vendor boot header version ${headerVersion}`
+        );
+    }
+
+    let pageSize = view.getUint32(12, true);
+    if (pageSize === 0 || pageSize > 0x10000) {
+        throw new BootImageError(`Invalid page size ${pageSize}`);
+    }
+
+    let sections = new SectionReader(
+        blob,
+        pageSize,
+        view.getUint32(2096, true)
+    );
+    let ramdiskSection = sections.next(view.getUint32(24, true), "ramdisk");
+    let dtb = sections.next(view.getUint32(2100, true), "DTB");
+
+    let ramdisks: Array<VendorRamdisk> = [];
+    let bootconfig = "";
+    if (headerVersion >= 4) {
+        let table = new DataView(
+            await common.readBlobAsBuffer(
+                sections.next(view.getUint32(2112, true), "ramdisk table")
+            )
+        );
+        let tableBytes = new Uint8Array(table.buffer);
+        let entrySize = view.getUint32(2120, true);
+        let entries = view.getUint32(2116, true);
+        if (
+            entrySize < VENDOR_RAMDISK_ENTRY_SIZE ||
+            entries * entrySize > table.byteLength
+        ) {
+            throw new BootImageError("Invalid vendor ramdisk table");
+        }
+
+        for (let i = 0; i < entries; i++) {
+            let entry = i * entrySize;
+            let size = table.getUint32(entry, true);
+            let offset = table.getUint32(entry + 4, true);
+            if (offset + size > ramdiskSection.size) {
+                throw new BootImageError(
+                    `Vendor ramdisk ${i} is outside of the ramdisk section`
+                );
+            }
+
+            ramdisks.push({
+                name: readString(
+                    tableBytes,
+                    entry + 12,
+                    VENDOR_RAMDISK_NAME_SIZE
+                ),
+                type: table.getUint32(entry + 8, true),
+                boardId: Array.from(
+                    { length: VENDOR_RAMDISK_BOARD_ID_SIZE },
+                    (_, j) => table.getUint32(entry + 44 + j * 4, true)
+                ),
+                data: ramdiskSection.slice(offset, offset + size),
+            });
+        }
+
+        bootconfig = await sections
+            .next(view.getUint32(2124, true), "bootconfig")
+            .text();
+    } else {
+        ramdisks.push({
+            name: "",
+            type: VendorRamdiskType.None,
+            boardId: new Array(VENDOR_RAMDISK_BOARD_ID_SIZE).fill(0),
+            data: ramdiskSection,
+        });
+    }
+
+    return {
+        headerVersion: headerVersion,
+        pageSize: pageSize,
+        ramdisks: ramdisks,
+        dtb: dtb,
+        bootconfig: bootconfig,
+        cmdline: readString(bytes, 28, VENDOR_BOOT_ARGS_SIZE),
+        name: readString(bytes, 2080, BOOT_NAME_SIZE),
+        kernelAddress: view.getUint32(16, true),
+        ramdiskAddress: view.getUint32(20, true),
+        tagsAddress: view.getUint32(2076, true),
+        dtbAddress: readAddress(view, 2104),
+    };
+}
+
+/**
+ * Create a vendor_boot image, like AOSP mkbootimg with `--vendor_boot`.
+ * Header version 3 only supports a single ramdisk, so multiple ramdisks are
+ * concatenated into one.
+ *
+ * @param {Partial<VendorBootImage>} image - Contents of the vendor_boot image.
+ * @returns {Promise<Blob>} Blob containing the new vendor_boot image.
+ * @throws {BootImageError}
+ */
+export async function createVendorBootImage(image: Partial<VendorBootImage>) {
+    let headerVersion = image.headerVersion ?? 4;
+    if (headerVersion < 3 || headerVersion > 4) {
+        throw new BootImageError(
+            `Unsupported vendor boot header version ${headerVersion}`
+        );
+    }
+
+    let pageSize = image.pageSize ?? DEFAULT_PAGE_SIZE;
+    let ramdisks = image.ramdisks ?? [];
+    let dtb = image.dtb ?? new Blob([]);
+    let ramdiskSection = new Blob(ramdisks.map((ramdisk) => ramdisk.data));
+
+    let headerSize =
+        headerVersion >= 4
+            ? VENDOR_BOOT_V4_HEADER_SIZE
+            : VENDOR_BOOT_V3_HEADER_SIZE;
+    let header = new ArrayBuffer(headerSize);
+    let bytes = new Uint8Array(header);
+    let view = new DataView(header);
+    bytes.set(new TextEncoder().encode(VENDOR_BOOT_MAGIC), 0);
+    view.setUint32(8, headerVersion, true);
+    view.setUint32(12, pageSize, true);
+    view.setUint32(
+        16,
+        image.kernelAddress ?? DEFAULT_BASE + DEFAULT_KERNEL_OFFSET,
+        true
+    );
+    view.setUint32(
+        20,
+        image.ramdiskAddress ?? DEFAULT_BASE + DEFAULT_RAMDISK_OFFSET,
+        true
+    );
+    view.setUint32(24, ramdiskSection.size, true);
+    writeString(
+        bytes,
+        28,
+        VENDOR_BOOT_ARGS_SIZE,
+        image.cmdline ?? "",
+        "Command line"
+    );
+    view.setUint32(
+        2076,
+        image.tagsAddress ?? DEFAULT_BASE + DEFAULT_TAGS_OFFSET,
+        true
+    );
+    writeString(bytes, 2080, BOOT_NAME_SIZE, image.name ?? "", "Product name");
+    view.setUint32(2096, headerSize, true);
+    view.setUint32(2100, dtb.size, true);
+    writeAddress(
+        view,
+        2104,
+        image.dtbAddress ?? DEFAULT_BASE + DEFAULT_DTB_OFFSET
+    );
+
+    let parts = [
+        ...padSection(header, pageSize),
+        ...padSection(ramdiskSection, pageSize),
+        ...padSection(dtb, pageSize),
+    ];
+
+    if (headerVersion >= 4) {
+        let table = new ArrayBuffer(
+            VENDOR_RAMDISK_ENTRY_SIZE * ramdisks.length
+        );
+        let tableBytes = new Uint8Array(table);
+        let tableView = new DataView(table);
+        let offset = 0;
+        for (let [i, ramdisk] of ramdisks.entries()) {
+            let entry = i * VENDOR_RAMDISK_ENTRY_SIZE;
+            tableView.setUint32(entry, ramdisk.data.size, true);
+            tableView.setUint32(entry + 4, offset, true);
+            tableView.setUint32(entry + 8, ramdisk.type, true);
+            writeString(
+                tableBytes,
+                entry + 12,
+                VENDOR_RAMDISK_NAME_SIZE,
+                ramdisk.name,
+                "Ramdisk name"
+            );
+            for (let [j, id] of ramdisk.boardId
+                .slice(0, VENDOR_RAMDISK_BOARD_ID_SIZE)
+                .entries()) {
+                tableView.setUint32(entry + 44 + j * 4, id, true);
+            }
+            offset += ramdisk.data.size;
+        }
+
+        let bootconfig = new TextEncoder().encode(image.bootconfig ?? "");
+        view.setUint32(2112, table.byteLength, true);
+        view.setUint32(2116, ramdisks.length, true);
+        view.setUint32(2120, VENDOR_RAMDISK_ENTRY_SIZE, true);
+        view.setUint32(2124, bootconfig.length, true);
+        parts.push(
+            ...padSection(table, pageSize),
+            ...padSection(bootconfig.buffer, pageSize)
+        );
+    }
+
+    return new Blob(parts);
+}
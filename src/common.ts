@@ -40,6 +40,11 @@ export function setDebugLevel(level: DebugLevel) {
  * @ignore
  */
 export function readBlobAsBuffer(blob: Blob): Promise<ArrayBuffer> {
+    // FileReader is only available in browsers
+    if (typeof FileReader === "undefined") {
+        return blob.arrayBuffer();
+    }
+
     return new Promise((resolve, reject) => {
         let reader = new FileReader();
         reader.onload = () => {
@@ -55,7 +60,12 @@ export function readBlobAsBuffer(blob: Blob): Promise<ArrayBuffer> {
 
 function waitForFrame() {
     return new Promise((resolve, _reject) => {
-        window.requestAnimationFrame(resolve);
+        // Fall back to a timer outside of browsers, e.g. in Node.js tests
+        if (typeof requestAnimationFrame === "undefined") {
+            setTimeout(resolve, 16);
+        } else {
+            requestAnimationFrame(resolve);
+        }
     });
 }
 
@@ -64,7 +74,8 @@ export async function runWithTimedProgress<T>(
     action: string,
     item: string,
     duration: number,
-    workPromise: Promise<T>
+    workPromise: Promise<T>,
+    signal?: AbortSignal
 ) {
     let startTime = new Date().getTime();
     let stop = false;
@@ -78,7 +89,7 @@ export async function runWithTimedProgress<T>(
             now = new Date().getTime();
             onProgress(action, item, (now - startTime) / duration);
             await waitForFrame();
-        } while (!stop && now < targetTime);
+        } while (!stop && !signal?.aborted && now < targetTime);
     })();
 
     await Promise.race([progressPromise, workPromise]);
@@ -86,6 +97,8 @@ export async function runWithTimedProgress<T>(
     await progressPromise;
     await workPromise;
 
+    // The work itself can't be interrupted safely, so abort once it's done
+    throwIfAborted(signal);
     onProgress(action, item, 1.0);
 }
 
@@ -100,6 +113,44 @@ export class TimeoutError extends Error {
     }
 }
 
+/**
+ * Exception class for operations that were aborted with an AbortSignal.
+ * Operations only stop at safe points, e.g. between partitions, so the
+ * partitions that were fully written before aborting are reported.
+ */
+export class AbortError extends Error {
+    writtenPartitions: Array<string>;
+
+    constructor(writtenPartitions: Array<string> = []) {
+        super(
+            writtenPartitions.length > 0
+                ? `Operation aborted after writing ${writtenPartitions.join(
+                      ", "
+                  )}`
+                : "Operation aborted before writing any partitions"
+        );
+        this.name = "AbortError";
+        this.writtenPartitions = writtenPartitions;
+    }
+}
+
+/**
+ * Throws an {@link AbortError} if the given signal has been aborted.
+ *
+ * @param {AbortSignal} signal - Signal to check, if any.
+ * @param {string[]} writtenPartitions - Partitions fully written so far.
+ * @throws {AbortError}
+ * @ignore
+ */
+export function throwIfAborted(
+    signal: AbortSignal | undefined,
+    writtenPartitions: Array<string> = []
+) {
+    if (signal?.aborted) {
+        throw new AbortError(writtenPartitions);
+    }
+}
+
 export function runWithTimeout<T>(
     promise: Promise<T>,
     timeout: number
@@ -0,0 +1,113 @@
+/**
+ * Command sent to the device.
+ *
+ * @typedef {Object} CommandEvent
+ * @property {string} type - Always `command`.
+ * @property {number} time - Time of the event, in milliseconds since the epoch.
+ * @property {string} command - Raw command, e.g. `getvar:product`.
+ */
+export interface CommandEvent {
+    type: "command";
+    time: number;
+    command: string;
+}
+
+/**
+ * Response packet received from the device.
+ *
+ * @typedef {Object} ResponseEvent
+ * @property {string} type - Always `response`.
+ * @property {number} time - Time of the event, in milliseconds since the epoch.
+ * @property {string} command - Command the response belongs to.
+ * @property {string} status - Status of the packet: INFO, TEXT, OKAY, FAIL, or DATA.
+ * @property {string} message - Rest of the packet after the status.
+ * @property {number} elapsed - Time since the command was sent, in milliseconds.
+ */
+export interface ResponseEvent {
+    type: "response";
+    time: number;
+    command: string | null;
+    status: string;
+    message: string;
+    elapsed: number;
+}
+
+/**
+ * Data payload transferred in the data phase of a command.
+ *
+ * @typedef {Object} DataEvent
+ * @property {string} type - Always `data`.
+ * @property {number} time - Time of the event, in milliseconds since the epoch.
+ * @property {string} direction - `out` for data sent to the device (download), `in` for data received from it (upload or fetch).
+ * @property {number} size - Size of the data in bytes.
+ * @property {string} sha256 - SHA-256 hash of the data as a hex string, hashed as it was transferred. Null if no listeners were registered when the transfer started.
+ * @property {number} elapsed - Duration of the transfer, in milliseconds.
+ * @property {number} throughput - Transfer speed, in bytes per second.
+ */
+export interface DataEvent {
+    type: "data";
+    time: number;
+    direction: "out" | "in";
+    size: number;
+    sha256: string | null;
+    elapsed: number;
+    throughput: number;
+}
+
+/**
+ * Device reconnected, e.g. after a reboot.
+ *
+ * @typedef {Object} ReconnectEvent
+ * @property {string} type - Always `reconnect`.
+ * @property {number} time - Time of the event, in milliseconds since the epoch.
+ * @property {string} serialNumber - Serial number of the reconnected device.
+ */
+export interface ReconnectEvent {
+    type: "reconnect";
+    time: number;
+    serialNumber: string | null;
+}
+
+/**
+ * New stage of factory image or OTA flashing, as reported to its progress
+ * callback.
+ *
+ * @typedef {Object} StageEvent
+ * @property {string} type - Always `stage`.
+ * @property {number} time - Time of the event, in milliseconds since the epoch.
+ * @property {string} action - Action in the flashing process, e.g. unpack/flash.
+ * @property {string} item - Item processed by the action, e.g. partition being flashed.
+ */
+export interface StageEvent {
+    type: "stage";
+    time: number;
+    action: string;
+    item: string;
+}
+
+export type FastbootEvent =
+    | CommandEvent
+    | ResponseEvent
+    | DataEvent
+    | ReconnectEvent
+    | StageEvent;
+
+/**
+ * Callback for protocol events of a device.
+ *
+ * @callback FastbootEventListener
+ * @param {FastbootEvent} event - The event.
+ */
+export type FastbootEventListener = (event: FastbootEvent) => void;
+
+/**
+ * Live callbacks for the responses of a command.
+ *
+ * @typedef {Object} CommandOptions
+ * @property {Function} onInfo - Called with each INFO line as it arrives. These lines are then omitted from the response text.
+ * @property {Function} onText - Called with each TEXT fragment as it arrives. These fragments are then omitted from the response text.
+ */
+export interface CommandOptions {
+    onInfo?: (message: string) => void;
+    onText?: (text: string) => void;
+}
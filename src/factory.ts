@@ -1,14 +1,33 @@
 import * as common from "./common";
+import * as Sparse from "./sparse";
 import {
     ZipReader,
     BlobReader,
     BlobWriter,
     TextWriter,
     Entry,
-    EntryGetDataOptions,
+    GetDataOptions,
     Writer,
 } from "@zip.js/zip.js";
-import { FastbootDevice, FastbootError, ReconnectCallback } from "./fastboot";
+import {
+    FastbootDevice,
+    FastbootError,
+    FlashOptions,
+    ReconnectCallback,
+} from "./fastboot";
+import {
+    getSlotNames,
+    resolveActiveSlot,
+    resolveSlots,
+    setActiveSlot,
+} from "./slots";
+import { parseVbmeta } from "./vbmeta";
+import {
+    checkPayloadSupport,
+    extractPayloadPartition,
+    parsePayload,
+    PayloadDecompressors,
+} from "./payload";
 
 /**
  * Callback for factory image flashing progress.
@@ -24,6 +43,24 @@ export type FactoryProgressCallback = (
     progress: number
 ) => void;
 
+/**
+ * Additional options for factory image flashing.
+ *
+ * @typedef {Object} FactoryFlashOptions
+ * @property {string} slot - Slot to flash A/B partitions to: a slot name, current, other, or all. Defaults to the current slot. Equivalent to `fastboot --slot`.
+ * @property {boolean | string} setActive - Slot to mark as active after flashing, or true for the flashed slot. Equivalent to `fastboot --set-active`.
+ * @property {boolean} disableVerity - Disable dm-verity in vbmeta. Equivalent to `fastboot --disable-verity`.
+ * @property {boolean} disableVerification - Disable verified boot in vbmeta. Equivalent to `fastboot --disable-verification`.
+ * @property {AbortSignal} signal - Signal to abort flashing. Flashing stops before the next image, stage, or split.
+ */
+export interface FactoryFlashOptions {
+    slot?: string;
+    setActive?: boolean | string;
+    disableVerity?: boolean;
+    disableVerification?: boolean;
+    signal?: AbortSignal;
+}
+
 // Images needed for fastbootd
 const BOOT_CRITICAL_IMAGES = [
     "boot",
@@ -51,6 +88,9 @@ const SYSTEM_IMAGES = [
     "vendor",
 ];
 
+// Highest fastboot-info.txt version supported by AOSP fastboot
+const FASTBOOT_INFO_VERSION = 1;
+
 /**
  * User-friendly action strings for factory image flashing progress.
  * This can be indexed by the action argument in FactoryFlashCallback.
@@ -67,11 +107,15 @@ const BOOTLOADER_REBOOT_TIME = 4000; // ms
 const FASTBOOTD_REBOOT_TIME = 16000; // ms
 const USERDATA_ERASE_TIME = 1000; // ms
 
+const ZIP_LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const ZIP_LOCAL_HEADER_SIZE = 30;
+const ZIP_COMPRESSION_STORE = 0;
+
 // Wrapper for Entry#getData() that unwraps ProgressEvent errors
 async function zipGetData(
     entry: Entry,
     writer: Writer,
-    options?: EntryGetDataOptions,
+    options?: GetDataOptions,
 ) {
     try {
         return await entry.getData!(writer, options);
@@ -88,12 +132,49 @@ async function zipGetData(
     }
 }
 
+// Get the data of an uncompressed entry as a slice of the zip, so that it
+// doesn't need to be copied. Returns null if the entry is compressed.
+async function sliceStoredEntry(blob: Blob, entry: Entry) {
+    // zip.js has the compression method, but doesn't declare it
+    if (
+        (entry as any).compressionMethod !== ZIP_COMPRESSION_STORE ||
+        entry.encrypted ||
+        entry.offset === undefined
+    ) {
+        return null;
+    }
+
+    // The local header's extra field can differ from the central directory's
+    let header = new DataView(
+        await common.readBlobAsBuffer(
+            blob.slice(entry.offset, entry.offset + ZIP_LOCAL_HEADER_SIZE)
+        )
+    );
+    if (
+        header.byteLength < ZIP_LOCAL_HEADER_SIZE ||
+        header.getUint32(0, true) !== ZIP_LOCAL_HEADER_SIGNATURE
+    ) {
+        return null;
+    }
+
+    let start =
+        entry.offset +
+        ZIP_LOCAL_HEADER_SIZE +
+        header.getUint16(26, true) +
+        header.getUint16(28, true);
+    let data = blob.slice(start, start + entry.compressedSize);
+    return data.size === entry.compressedSize ? data : null;
+}
+
 async function flashEntryBlob(
     device: FastbootDevice,
     entry: Entry,
     onProgress: FactoryProgressCallback,
-    partition: string
+    partition: string,
+    written: Array<string>,
+    options: FlashOptions = {}
 ) {
+    common.throwIfAborted(options.signal);
     common.logDebug(`Unpacking ${partition}`);
     onProgress("unpack", partition, 0.0);
     let blob = await zipGetData(
@@ -108,27 +189,144 @@ async function flashEntryBlob(
 
     common.logDebug(`Flashing ${partition}`);
     onProgress("flash", partition, 0.0);
-    await device.flashBlob(partition, blob, (progress) => {
-        onProgress("flash", partition, progress);
-    });
+    written.push(
+        ...(await device.flashBlob(
+            partition,
+            blob,
+            (progress) => {
+                onProgress("flash", partition, progress);
+            },
+            options
+        ))
+    );
 }
 
 async function tryFlashImages(
     device: FastbootDevice,
     entries: Array<Entry>,
     onProgress: FactoryProgressCallback,
-    imageNames: Array<string>
+    imageNames: Array<string>,
+    written: Array<string>,
+    options: FlashOptions = {}
 ) {
     for (let imageName of imageNames) {
         let pattern = new RegExp(`${imageName}(?:-.+)?\\.img$`);
         let entry = entries.find((entry) => entry.filename.match(pattern));
         if (entry !== undefined) {
-            await flashEntryBlob(device, entry, onProgress, imageName);
+            await flashEntryBlob(
+                device,
+                entry,
+                onProgress,
+                imageName,
+                written,
+                options
+            );
+        }
+    }
+}
+
+// A step in fastboot-info.txt
+type FastbootInfoStep = { wipeOnly: boolean } & (
+    | {
+          command: "flash";
+          partition: string;
+          filename: string;
+          applyVbmeta: boolean;
+          slotOther: boolean;
+      }
+    | { command: "reboot"; target: string }
+    | { command: "update-super" }
+    | { command: "erase"; partition: string }
+);
+
+/**
+ * Parse fastboot-info.txt, which lists the steps to flash the images in a
+ * factory image, as done by AOSP fastboot.
+ *
+ * @private
+ */
+function parseFastbootInfo(text: string) {
+    let steps: Array<FastbootInfoStep> = [];
+    let version: number | null = null;
+    for (let [i, line] of text.replace(/\r/g, "").split("\n").entries()) {
+        let args = line.trim().split(/\s+/);
+        if (args[0] === "" || args[0].startsWith("#")) {
+            continue;
+        }
+
+        let fail = (message: string) =>
+            new FastbootError(
+                "FAIL",
+                `fastboot-info.txt line ${i + 1}: ${message}`
+            );
+
+        // The version must come before any other commands
+        if (version === null) {
+            if (args[0] !== "version" || args.length !== 2) {
+                throw fail("Missing version");
+            }
+
+            version = parseInt(args[1], 10);
+            if (isNaN(version) || version > FASTBOOT_INFO_VERSION) {
+                throw fail(`Unsupported version ${args[1]}`);
+            }
+            continue;
+        }
+
+        let wipeOnly = args[0] === "if-wipe";
+        if (wipeOnly) {
+            args.shift();
+        }
+
+        let [command, ...params] = args;
+        if (command === "flash") {
+            let flags = params.filter((p) => p.startsWith("--"));
+            let names = params.filter((p) => !p.startsWith("--"));
+            let unknown = flags.filter(
+                (f) => f !== "--apply-vbmeta" && f !== "--slot-other"
+            );
+            if (unknown.length > 0 || names.length < 1 || names.length > 2) {
+                throw fail(`Invalid flash command: ${line.trim()}`);
+            }
+
+            steps.push({
+                command: "flash",
+                partition: names[0],
+                filename: names[1] ?? `${names[0]}.img`,
+                applyVbmeta: flags.includes("--apply-vbmeta"),
+                slotOther: flags.includes("--slot-other"),
+                wipeOnly: wipeOnly,
+            });
+        } else if (command === "reboot" && params.length <= 1) {
+            steps.push({
+                command: "reboot",
+                target: params[0] ?? "",
+                wipeOnly: wipeOnly,
+            });
+        } else if (command === "update-super" && params.length === 0) {
+            steps.push({ command: "update-super", wipeOnly: wipeOnly });
+        } else if (command === "erase" && params.length === 1) {
+            steps.push({
+                command: "erase",
+                partition: params[0],
+                wipeOnly: wipeOnly,
+            });
+        } else {
+            throw fail(`Unknown command: ${line.trim()}`);
         }
     }
+
+    if (version === null) {
+        throw new FastbootError("FAIL", "fastboot-info.txt is empty");
+    }
+    return steps;
 }
 
-async function checkRequirements(device: FastbootDevice, androidInfo: string) {
+async function checkRequirements(
+    device: FastbootDevice,
+    androidInfo: string,
+    knownImages: Array<string>
+) {
     // Deal with CRLF just in case
     for (let line of androidInfo.replace("\r", "").split("\n")) {
         let match = line.match(/^require\s+(.+?)=(.+)$/);
@@ -158,11 +356,8 @@ async function checkRequirements(device: FastbootDevice, androidInfo: string) {
                 );
             }
 
-            // Check whether we recognize the partition
-            if (
-                !BOOT_CRITICAL_IMAGES.includes(expectValue) &&
-                !SYSTEM_IMAGES.includes(expectValue)
-            ) {
+            // Check whether we're going to flash the partition
+            if (!knownImages.includes(expectValue)) {
                 throw new FastbootError(
                     "FAIL",
                     `Requirement ${variable}=${expectValue} failed, unrecognized partition`
@@ -184,6 +379,155 @@ async function checkRequirements(device: FastbootDevice, androidInfo: string) {
     }
 }
 
+// Checks that the custom AVB key is the one vbmeta is signed with, as the
+// device won't boot once locked otherwise
+async function checkCustomKey(keyEntry: Entry, vbmetaEntry: Entry) {
+    let key = new Uint8Array(
+        await common.readBlobAsBuffer(
+            await zipGetData(keyEntry, new BlobWriter())
+        )
+    );
+    let vbmeta = await parseVbmeta(
+        await zipGetData(vbmetaEntry, new BlobWriter())
+    );
+
+    if (
+        key.length !== vbmeta.publicKey.length ||
+        !key.every((byte, i) => byte === vbmeta.publicKey[i])
+    ) {
+        throw new FastbootError(
+            "FAIL",
+            "Custom AVB key in avb_pkmd.bin doesn't match the key vbmeta.img is signed with"
+        );
+    }
+    common.logDebug("Custom AVB key matches vbmeta");
+}
+
+async function updateSuper(
+    device: FastbootDevice,
+    entry: Entry,
+    wipe: boolean,
+    onProgress: FactoryProgressCallback,
+    signal: AbortSignal | undefined,
+    written: Array<string>
+) {
+    let superName = await device.getVariable("super-partition-name");
+    if (!superName) {
+        superName = "super";
+    }
+
+    let superAction = wipe ? "wipe" : "flash";
+    onProgress(superAction, "super", 0.0);
+    let superBlob = await zipGetData(
+        entry,
+        new BlobWriter("application/octet-stream")
+    );
+    await device.upload(
+        superName,
+        await common.readBlobAsBuffer(superBlob),
+        (progress) => {
+            onProgress(superAction, "super", progress);
+        },
+        signal
+    );
+    await device.runCommand(`update-super:${superName}${wipe ? ":wipe" : ""}`);
+    written.push(superName);
+}
+
+// Resolves the slot that --slot-other in fastboot-info.txt refers to
+async function resolveOtherSlot(device: FastbootDevice, slot?: string) {
+    if (slot === undefined || slot === "all") {
+        return slot === "all" ? slot : "other";
+    }
+
+    let names = await getSlotNames(device);
+    return names[(names.indexOf(slot) + 1) % names.length];
+}
+
+/**
+ * Run the steps from fastboot-info.txt.
+ *
+ * @private
+ */
+async function runFastbootInfo(
+    device: FastbootDevice,
+    steps: Array<FastbootInfoStep>,
+    imageEntries: Array<Entry>,
+    wipe: boolean,
+    onReconnect: ReconnectCallback,
+    onProgress: FactoryProgressCallback,
+    flashOptions: FlashOptions,
+    written: Array<string>
+) {
+    let signal = flashOptions.signal;
+    for (let step of steps) {
+        if (step.wipeOnly && !wipe) {
+            continue;
+        }
+
+        common.throwIfAborted(signal);
+        if (step.command === "flash") {
+            let filename = step.filename;
+            let entry = imageEntries.find((e) => e.filename === filename);
+            if (entry === undefined) {
+                throw new FastbootError(
+                    "FAIL",
+                    `Image ${filename} from fastboot-info.txt is missing`
+                );
+            }
+
+            let slot = step.slotOther
+                ? await resolveOtherSlot(device, flashOptions.slot)
+                : flashOptions.slot;
+            await flashEntryBlob(
+                device,
+                entry,
+                onProgress,
+                step.partition,
+                written,
+                {
+                    ...flashOptions,
+                    slot: slot,
+                    applyVbmeta: step.applyVbmeta,
+                }
+            );
+        } else if (step.command === "reboot") {
+            let reconnect =
+                step.target === "bootloader" || step.target === "fastboot";
+            await common.runWithTimedProgress(
+                onProgress,
+                "reboot",
+                "device",
+                step.target === "fastboot"
+                    ? FASTBOOTD_REBOOT_TIME
+                    : BOOTLOADER_REBOOT_TIME,
+                device.reboot(step.target, reconnect, onReconnect),
+                signal
+            );
+        } else if (step.command === "update-super") {
+            let entry = imageEntries.find(
+                (e) => e.filename === "super_empty.img"
+            );
+            if (entry === undefined) {
+                throw new FastbootError(
+                    "FAIL",
+                    "update-super in fastboot-info.txt requires super_empty.img"
+                );
+            }
+            await updateSuper(device, entry, wipe, onProgress, signal, written);
+        } else if (step.command === "erase") {
+            await common.runWithTimedProgress(
+                onProgress,
+                "wipe",
+                step.partition,
+                USERDATA_ERASE_TIME,
+                device.runCommand(`erase:${step.partition}`),
+                signal
+            );
+        }
+    }
+}
+
 async function tryReboot(
     device: FastbootDevice,
     target: string,
@@ -207,35 +551,121 @@ export async function flashZip(
         _action: string,
         _item: string,
         _progress: number
-    ) => {}
+    ) => {},
+    options: FactoryFlashOptions = {}
 ) {
+    let written: Array<string> = [];
+    try {
+        await flashZipStages(
+            device,
+            blob,
+            wipe,
+            onReconnect,
+            onProgress,
+            options,
+            written
+        );
+    } catch (error) {
+        // Partitions are only added to the list once fully written, so the
+        // aborted step only reports what it wrote itself
+        if (error instanceof common.AbortError) {
+            throw new common.AbortError([
+                ...written,
+                ...error.writtenPartitions,
+            ]);
+        }
+        throw error;
+    }
+}
+
+async function flashZipStages(
+    device: FastbootDevice,
+    blob: Blob,
+    wipe: boolean,
+    onReconnect: ReconnectCallback,
+    onProgress: FactoryProgressCallback,
+    options: FactoryFlashOptions,
+    written: Array<string>
+) {
+    // Resolve relative slots up front, before anything changes the current slot
+    let slot = options.slot;
+    if (slot !== undefined && slot !== "all") {
+        slot = (await resolveSlots(device, slot))[0];
+    }
+    let activeSlot = await resolveActiveSlot(device, slot, options.setActive);
+    let flashOptions = {
+        slot: slot,
+        disableVerity: options.disableVerity,
+        disableVerification: options.disableVerification,
+        signal: options.signal,
+    };
+
     onProgress("load", "package", 0.0);
     let reader = new ZipReader(new BlobReader(blob));
     let entries = await reader.getEntries();
 
+    // Load nested images
+    common.logDebug("Loading nested images from zip");
+    onProgress("unpack", "images", 0.0);
+    let entry = entries.find((e) => e.filename.match(/image-.+\.zip$/));
+    let imagesBlob = await zipGetData(
+        entry!,
+        new BlobWriter("application/zip"),
+        {
+            onprogress: (bytes: number, len: number) => {
+                onProgress("unpack", "images", bytes / len);
+            },
+        }
+    );
+    let imageReader = new ZipReader(new BlobReader(imagesBlob));
+    let imageEntries = await imageReader.getEntries();
+
+    // Check the custom AVB key before flashing anything
+    let keyEntry = entries.find((e) => e.filename.endsWith("avb_pkmd.bin"));
+    let vbmetaEntry = imageEntries.find((e) => e.filename === "vbmeta.img");
+    if (keyEntry !== undefined && vbmetaEntry !== undefined) {
+        await checkCustomKey(keyEntry, vbmetaEntry);
+    }
+
     // Bootloader and radio packs can only be flashed in the bare-metal bootloader
     if ((await device.getVariable("is-userspace")) === "yes") {
         await device.reboot("bootloader", true, onReconnect);
     }
 
     // 1. Bootloader pack
-    await tryFlashImages(device, entries, onProgress, ["bootloader"]);
+    await tryFlashImages(
+        device,
+        entries,
+        onProgress,
+        ["bootloader"],
+        written,
+        flashOptions
+    );
     await common.runWithTimedProgress(
         onProgress,
         "reboot",
         "device",
         BOOTLOADER_REBOOT_TIME,
-        tryReboot(device, "bootloader", onReconnect)
+        tryReboot(device, "bootloader", onReconnect),
+        options.signal
     );
 
     // 2. Radio pack
-    await tryFlashImages(device, entries, onProgress, ["radio"]);
+    await tryFlashImages(
+        device,
+        entries,
+        onProgress,
+        ["radio"],
+        written,
+        flashOptions
+    );
     await common.runWithTimedProgress(
         onProgress,
         "reboot",
         "device",
         BOOTLOADER_REBOOT_TIME,
-        tryReboot(device, "bootloader", onReconnect)
+        tryReboot(device, "bootloader", onReconnect),
+        options.signal
     );
 
     // Cancel snapshot update if in progress
@@ -244,103 +674,385 @@ export async function flashZip(
         await device.runCommand("snapshot-update:cancel");
     }
 
-    // Load nested images for the following steps
-    common.logDebug("Loading nested images from zip");
-    onProgress("unpack", "images", 0.0);
-    let entry = entries.find((e) => e.filename.match(/image-.+\.zip$/));
-    let imagesBlob = await zipGetData(
-        entry!,
-        new BlobWriter("application/zip"),
-        {
-            onprogress: (bytes: number, len: number) => {
-                onProgress("unpack", "images", bytes / len);
-            },
+    // fastboot-info.txt lists the exact steps to flash the images, so it
+    // takes precedence over our own heuristics. Like AOSP fastboot, fall back
+    // to the heuristics if it's invalid.
+    let infoSteps: Array<FastbootInfoStep> | null = null;
+    entry = imageEntries.find((e) => e.filename === "fastboot-info.txt");
+    if (entry !== undefined) {
+        try {
+            infoSteps = parseFastbootInfo(
+                await zipGetData(entry, new TextWriter())
+            );
+        } catch (error) {
+            common.logDebug("Ignoring invalid fastboot-info.txt:", error);
         }
-    );
-    let imageReader = new ZipReader(new BlobReader(imagesBlob));
-    let imageEntries = await imageReader.getEntries();
+    }
 
     // 3. Check requirements
     entry = imageEntries.find((e) => e.filename === "android-info.txt");
     if (entry !== undefined) {
         let reqText = await zipGetData(entry, new TextWriter());
-        await checkRequirements(device, reqText);
+        let knownImages =
+            infoSteps !== null
+                ? infoSteps.flatMap((step) =>
+                      step.command === "flash" ? [step.partition] : []
+                  )
+                : [...BOOT_CRITICAL_IMAGES, ...SYSTEM_IMAGES];
+        await checkRequirements(device, reqText, knownImages);
     }
 
-    // 4. Boot-critical images
-    await tryFlashImages(
-        device,
-        imageEntries,
-        onProgress,
-        BOOT_CRITICAL_IMAGES
-    );
+    if (infoSteps !== null) {
+        // 4-6. Images as listed in fastboot-info.txt
+        await runFastbootInfo(
+            device,
+            infoSteps,
+            imageEntries,
+            wipe,
+            onReconnect,
+            onProgress,
+            flashOptions,
+            written
+        );
+    } else {
+        // 4. Boot-critical images
+        await tryFlashImages(
+            device,
+            imageEntries,
+            onProgress,
+            BOOT_CRITICAL_IMAGES,
+            written,
+            flashOptions
+        );
 
-    // 5. Super partition template
-    // This is also where we reboot to fastbootd.
-    entry = imageEntries.find((e) => e.filename === "super_empty.img");
-    if (entry !== undefined) {
+        // 5. Super partition template
+        // This is also where we reboot to fastbootd.
+        entry = imageEntries.find((e) => e.filename === "super_empty.img");
+        if (entry !== undefined) {
+            common.throwIfAborted(options.signal);
+            await common.runWithTimedProgress(
+                onProgress,
+                "reboot",
+                "device",
+                FASTBOOTD_REBOOT_TIME,
+                device.reboot("fastboot", true, onReconnect),
+                options.signal
+            );
+            await updateSuper(
+                device,
+                entry,
+                wipe,
+                onProgress,
+                options.signal,
+                written
+            );
+        }
+
+        // 6. Remaining system images
+        await tryFlashImages(
+            device,
+            imageEntries,
+            onProgress,
+            SYSTEM_IMAGES,
+            written,
+            flashOptions
+        );
+    }
+
+    // We unconditionally reboot back to the bootloader here if we're in fastbootd,
+    // even when there's no custom AVB key, because common follow-up actions like
+    // locking the bootloader and wiping data need to be done in the bootloader.
+    if ((await device.getVariable("is-userspace")) === "yes") {
         await common.runWithTimedProgress(
             onProgress,
             "reboot",
             "device",
-            FASTBOOTD_REBOOT_TIME,
-            device.reboot("fastboot", true, onReconnect)
+            BOOTLOADER_REBOOT_TIME,
+            device.reboot("bootloader", true, onReconnect),
+            options.signal
+        );
+    }
+
+    // 7. Custom AVB key
+    if (keyEntry !== undefined) {
+        common.throwIfAborted(options.signal);
+        await device.runCommand("erase:avb_custom_key");
+        await flashEntryBlob(
+            device,
+            keyEntry,
+            onProgress,
+            "avb_custom_key",
+            written,
+            { signal: options.signal }
+        );
+    }
+
+    // Switch slots now that all of them have been flashed
+    common.throwIfAborted(options.signal);
+    if (activeSlot !== null) {
+        await setActiveSlot(device, activeSlot);
+    }
+
+    // 8. Wipe userdata, unless fastboot-info.txt already did
+    let wipedByInfo =
+        infoSteps !== null && infoSteps.some((step) => step.wipeOnly);
+    if (wipe && !wipedByInfo) {
+        await common.runWithTimedProgress(
+            onProgress,
+            "wipe",
+            "data",
+            USERDATA_ERASE_TIME,
+            device.runCommand("erase:userdata"),
+            options.signal
         );
+    }
+}
 
-        let superName = await device.getVariable("super-partition-name");
-        if (!superName) {
-            superName = "super";
+/**
+ * Additional options for OTA package flashing.
+ *
+ * @typedef {Object} OtaFlashOptions
+ * @property {PayloadDecompressors} decompressors - Decompressors for compressed operations in the payload. Most full OTAs need xz or zstd.
+ */
+export interface OtaFlashOptions extends FactoryFlashOptions {
+    decompressors?: PayloadDecompressors;
+}
+
+/**
+ * Get the full names of a logical partition in the given slots, creating it
+ * in fastbootd if it doesn't exist yet. New partitions are empty and get
+ * resized when flashed.
+ *
+ * @private
+ */
+async function prepareLogicalPartition(
+    device: FastbootDevice,
+    name: string,
+    slots: Array<string | null>
+) {
+    let targets = slots.map((s) => (s === null ? name : `${name}_${s}`));
+    for (let target of targets) {
+        if ((await device.getVariable(`is-logical:${target}`)) !== "yes") {
+            common.logDebug(`Creating logical partition ${target}`);
+            await device.runCommand(`create-logical-partition:${target}:0`);
         }
+    }
 
-        let superAction = wipe ? "wipe" : "flash";
-        onProgress(superAction, "super", 0.0);
-        let superBlob = await zipGetData(
-            entry,
-            new BlobWriter("application/octet-stream")
+    return targets;
+}
+
+export async function flashOtaZip(
+    device: FastbootDevice,
+    blob: Blob,
+    wipe: boolean,
+    onReconnect: ReconnectCallback,
+    onProgress: FactoryProgressCallback = (
+        _action: string,
+        _item: string,
+        _progress: number
+    ) => {},
+    options: OtaFlashOptions = {}
+) {
+    let written: Array<string> = [];
+    try {
+        await flashOtaStages(
+            device,
+            blob,
+            wipe,
+            onReconnect,
+            onProgress,
+            options,
+            written
         );
-        await device.upload(
-            superName,
-            await common.readBlobAsBuffer(superBlob),
-            (progress) => {
-                onProgress(superAction, "super", progress);
+    } catch (error) {
+        // Like factory images, report everything written by the package
+        if (error instanceof common.AbortError) {
+            throw new common.AbortError([
+                ...written,
+                ...error.writtenPartitions,
+            ]);
+        }
+        throw error;
+    }
+}
+
+async function flashOtaStages(
+    device: FastbootDevice,
+    blob: Blob,
+    wipe: boolean,
+    onReconnect: ReconnectCallback,
+    onProgress: FactoryProgressCallback,
+    options: OtaFlashOptions,
+    written: Array<string>
+) {
+    // Resolve relative slots up front, before anything changes the current slot
+    let slot = options.slot;
+    if (slot !== undefined && slot !== "all") {
+        slot = (await resolveSlots(device, slot))[0];
+    }
+    let activeSlot = await resolveActiveSlot(device, slot, options.setActive);
+    let flashOptions = {
+        slot: slot,
+        disableVerity: options.disableVerity,
+        disableVerification: options.disableVerification,
+        signal: options.signal,
+    };
+
+    onProgress("load", "package", 0.0);
+    let reader = new ZipReader(new BlobReader(blob));
+    let entries = await reader.getEntries();
+    let entry = entries.find((e) => e.filename === "payload.bin");
+    if (entry === undefined) {
+        throw new FastbootError("FAIL", "OTA package doesn't have payload.bin");
+    }
+
+    // Payloads are normally stored uncompressed so that they can be streamed,
+    // and copying them would take several GB
+    let payloadBlob: Blob;
+    let storedPayload = await sliceStoredEntry(blob, entry);
+    if (storedPayload !== null) {
+        payloadBlob = storedPayload;
+    } else {
+        common.logDebug("Loading compressed payload from zip");
+        onProgress("unpack", "payload", 0.0);
+        payloadBlob = await zipGetData(
+            entry,
+            new BlobWriter("application/octet-stream"),
+            {
+                onprogress: (bytes: number, len: number) => {
+                    onProgress("unpack", "payload", bytes / len);
+                },
             }
         );
-        await device.runCommand(
-            `update-super:${superName}${wipe ? ":wipe" : ""}`
-        );
     }
+    let payload = await parsePayload(payloadBlob);
+    // Fail before flashing anything if the payload can't be extracted
+    checkPayloadSupport(payload, options.decompressors);
 
-    // 6. Remaining system images
-    await tryFlashImages(device, imageEntries, onProgress, SYSTEM_IMAGES);
+    let extract = async (name: string) => {
+        common.logDebug(`Extracting ${name} from payload`);
+        onProgress("unpack", name, 0.0);
+        return await extractPayloadPartition(payloadBlob, payload, name, {
+            decompressors: options.decompressors,
+            onProgress: (progress) => {
+                onProgress("unpack", name, progress);
+            },
+            signal: options.signal,
+        });
+    };
 
-    // We unconditionally reboot back to the bootloader here if we're in fastbootd,
-    // even when there's no custom AVB key, because common follow-up actions like
-    // locking the bootloader and wiping data need to be done in the bootloader.
+    // Payloads list logical partitions in their super partition groups
+    let logicalNames = payload.groups.flatMap((g) => g.partitionNames);
+    let physical = payload.partitions.filter(
+        (p) => !logicalNames.includes(p.name)
+    );
+    let logical = payload.partitions.filter((p) =>
+        logicalNames.includes(p.name)
+    );
+
+    // Physical partitions are flashed in the bare-metal bootloader, as
+    // firmware partitions can't be written from fastbootd
     if ((await device.getVariable("is-userspace")) === "yes") {
+        await device.reboot("bootloader", true, onReconnect);
+    }
+
+    // Cancel snapshot update if in progress
+    let snapshotStatus = await device.getVariable("snapshot-update-status");
+    if (snapshotStatus !== null && snapshotStatus !== "none") {
+        await device.runCommand("snapshot-update:cancel");
+    }
+
+    for (let partition of physical) {
+        // Send raw images, as with factory images, since bootloaders may not
+        // accept sparse firmware or vbmeta images. Large images are still
+        // converted when flashing unless their partitions are raw-only.
+        let image = await Sparse.toRaw(await extract(partition.name));
+        if (partition.size > 0) {
+            image = image.slice(0, partition.size);
+        }
+        onProgress("flash", partition.name, 0.0);
+        written.push(
+            ...(await device.flashBlob(
+                partition.name,
+                image,
+                (progress) => {
+                    onProgress("flash", partition.name, progress);
+                },
+                flashOptions
+            ))
+        );
+    }
+
+    // Logical partitions can only be written from fastbootd. Without the
+    // super_empty.img of a factory image, the existing layout of super is
+    // kept and missing partitions are created in it.
+    if (logical.length > 0) {
+        common.throwIfAborted(options.signal);
+        await common.runWithTimedProgress(
+            onProgress,
+            "reboot",
+            "device",
+            FASTBOOTD_REBOOT_TIME,
+            device.reboot("fastboot", true, onReconnect),
+            options.signal
+        );
+
+        let slots: Array<string | null> = [null];
+        if ((await getSlotNames(device)).length > 0) {
+            slots = await resolveSlots(device, slot ?? "current");
+        }
+
+        for (let partition of logical) {
+            let image = await extract(partition.name);
+            let targets = await prepareLogicalPartition(
+                device,
+                partition.name,
+                slots
+            );
+            for (let [i, target] of targets.entries()) {
+                onProgress("flash", partition.name, i / targets.length);
+                written.push(
+                    ...(await device.flashBlob(
+                        target,
+                        image,
+                        (progress) => {
+                            onProgress(
+                                "flash",
+                                partition.name,
+                                (i + progress) / targets.length
+                            );
+                        },
+                        flashOptions
+                    ))
+                );
+            }
+        }
+
+        // Return to the bootloader for slot switching and wiping
         await common.runWithTimedProgress(
             onProgress,
             "reboot",
             "device",
             BOOTLOADER_REBOOT_TIME,
-            device.reboot("bootloader", true, onReconnect)
+            device.reboot("bootloader", true, onReconnect),
+            options.signal
         );
     }
 
-    // 7. Custom AVB key
-    entry = entries.find((e) => e.filename.endsWith("avb_pkmd.bin"));
-    if (entry !== undefined) {
-        await device.runCommand("erase:avb_custom_key");
-        await flashEntryBlob(device, entry, onProgress, "avb_custom_key");
+    // Switch slots now that all of them have been flashed
+    common.throwIfAborted(options.signal);
+    if (activeSlot !== null) {
+        await setActiveSlot(device, activeSlot);
     }
 
-    // 8. Wipe userdata
     if (wipe) {
         await common.runWithTimedProgress(
             onProgress,
             "wipe",
             "data",
             USERDATA_ERASE_TIME,
-            device.runCommand("erase:userdata")
+            device.runCommand("erase:userdata"),
+            options.signal
         );
     }
 }
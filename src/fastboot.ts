@@ -1,13 +1,32 @@
 import * as Sparse from "./sparse";
 import * as common from "./common";
 import {
+    FactoryFlashOptions,
     FactoryProgressCallback,
     flashZip as flashFactoryZip,
+    flashOtaZip,
+    OtaFlashOptions,
 } from "./factory";
+import { FastbootTransport, UsbError, UsbTransport } from "./transport";
+import { DeviceInfo, getAllVariables, parseDeviceInfo } from "./info";
+import { createBootImage, isBootImage, parseBootImage } from "./bootimg";
+import { parseVbmeta, setVbmetaFlags, VbmetaFlags } from "./vbmeta";
+import type {
+    CommandOptions,
+    FastbootEvent,
+    FastbootEventListener,
+} from "./events";
+import {
+    SlotState,
+    getCurrentSlot,
+    getSlots,
+    resolveActiveSlot,
+    resolveSlots,
+    setActiveSlot,
+} from "./slots";
+import { Sha256 } from "./sha256";
 
-const FASTBOOT_USB_CLASS = 0xff;
-const FASTBOOT_USB_SUBCLASS = 0x42;
-const FASTBOOT_USB_PROTOCOL = 0x03;
+export { UsbError };
 
 const BULK_TRANSFER_SIZE = 16384;
 
@@ -18,14 +37,21 @@ const MAX_DOWNLOAD_SIZE = 1024 * 1024 * 1024; // 1 GiB
 
 const GETVAR_TIMEOUT = 10000; // ms
 
-/**
- * Exception class for USB errors not directly thrown by WebUSB.
- */
-export class UsbError extends Error {
-    constructor(message: string) {
-        super(message);
-        this.name = "UsbError";
-    }
+// Size of the slices that fetched data is compared in when verifying flashes
+const VERIFY_COMPARE_SIZE = 16 * 1024 * 1024; // 16 MiB
+// Received data is periodically moved into a Blob so that browsers can page
+// it out of memory
+const RECEIVE_FLUSH_SIZE = 16 * 1024 * 1024; // 16 MiB
+// Raw images at least this large are converted to sparse images before
+// flashing, so that zeroed and filled blocks don't need to be sent
+const SPARSE_CONVERT_SIZE = 16 * 1024 * 1024; // 16 MiB
+// Firmware packages in factory images (bootloader-*.img and radio-*.img) that
+// the bootloader parses itself, so they must be sent as-is unless they need to
+// be split
+const RAW_ONLY_PARTITIONS = ["bootloader", "radio"];
+
+function toHex(bytes: Uint8Array) {
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
 }
 
 /**
@@ -58,6 +84,48 @@ interface CommandResponse {
  */
 export type FlashProgressCallback = (progress: number) => void;
 
+/**
+ * Additional options for flashing images.
+ *
+ * @typedef {Object} FlashOptions
+ * @property {string} slot - Slot to flash A/B partitions to: a slot name, current, other, or all. Defaults to the current slot. Equivalent to `fastboot --slot`.
+ * @property {boolean | string} setActive - Slot to mark as active after flashing, or true for the flashed slot. Equivalent to `fastboot --set-active`.
+ * @property {boolean} verify - Read the partition back after flashing and compare it with the image. This requires the `fetch` command, which is only supported by fastbootd.
+ * @property {boolean} validate - Check sparse images for errors, including CRC32 checksums, before changing anything on the device.
+ * @property {boolean} disableVerity - Disable dm-verity in vbmeta images. Equivalent to `fastboot --disable-verity`.
+ * @property {boolean} disableVerification - Disable verified boot in vbmeta images. Equivalent to `fastboot --disable-verification`.
+ * @property {boolean} applyVbmeta - Apply disableVerity and disableVerification to this image even if it isn't the main vbmeta, like `--apply-vbmeta` in fastboot-info.txt.
+ * @property {AbortSignal} signal - Signal to abort flashing. Flashing stops before the next split or partition, or skips flashing the split that is being uploaded.
+ */
+export interface FlashOptions {
+    slot?: string;
+    setActive?: boolean | string;
+    verify?: boolean;
+    validate?: boolean;
+    disableVerity?: boolean;
+    disableVerification?: boolean;
+    applyVbmeta?: boolean;
+    signal?: AbortSignal;
+}
+
+/**
+ * Additional options for booting images.
+ *
+ * @typedef {Object} BootOptions
+ * @property {string} setActive - Slot to mark as active before booting, so that the image boots with that slot's partitions.
+ * @property {string} cmdline - Kernel command line to replace the boot image's with. Equivalent to `fastboot boot --cmdline`.
+ * @property {Blob} ramdisk - Ramdisk to boot a kernel with. Ignored for boot images. Equivalent to `fastboot boot kernel ramdisk`.
+ * @property {number} headerVersion - Header version of the boot image built around a kernel, 0 by default. Ignored for boot images. Equivalent to `fastboot boot --header-version`.
+ * @property {AbortSignal} signal - Signal to abort booting before the image is booted.
+ */
+export interface BootOptions {
+    setActive?: string;
+    cmdline?: string;
+    ramdisk?: Blob;
+    headerVersion?: number;
+    signal?: AbortSignal;
+}
+
 /**
  * Callback for reconnecting to the USB device.
  * This is necessary because some platforms do not support automatic reconnection,
@@ -70,210 +138,216 @@ export type ReconnectCallback = () => void;
 
 /**
  * This class is a client for executing fastboot commands and operations on a
- * device connected over USB.
+ * device connected over USB, or any other {@link FastbootTransport}.
  */
 export class FastbootDevice {
-    device: USBDevice | null;
-    epIn: number | null;
-    epOut: number | null;
+    transport: FastbootTransport;
+    serialNumber: string | null;
+    /**
+     * Partitions whose raw images are sent as-is instead of being converted
+     * to sparse images, without slot suffixes. Defaults to the bootloader and
+     * radio firmware packages; add other firmware partitions that the
+     * bootloader parses itself.
+     */
+    rawOnlyPartitions: Array<string>;
 
-    private _registeredUsbListeners: boolean;
-    private _connectResolve: ((value: any) => void) | null;
-    private _connectReject: ((err: Error) => void) | null;
-    private _disconnectResolve: ((value: any) => void) | null;
+    private _listeners: Set<FastbootEventListener>;
+    private _command: string | null;
+    private _commandTime: number;
 
     /**
      * Create a new fastboot device instance. This doesn't actually connect to
-     * any USB devices; call {@link connect} to do so.
+     * any devices; call {@link connect} to do so.
+     *
+     * @param {FastbootTransport} transport - Transport to communicate with the device over. Defaults to WebUSB.
      */
-    constructor() {
-        this.device = null;
-        this.epIn = null;
-        this.epOut = null;
+    constructor(transport: FastbootTransport = new UsbTransport()) {
+        this.transport = transport;
+        this.serialNumber = null;
+        this.rawOnlyPartitions = [...RAW_ONLY_PARTITIONS];
+
+        this._listeners = new Set();
+        this._command = null;
+        this._commandTime = 0;
+    }
 
-        this._registeredUsbListeners = false;
-        this._connectResolve = null;
-        this._connectReject = null;
-        this._disconnectResolve = null;
+    /**
+     * Register a listener for structured protocol events of this device:
+     * commands, responses, data transfers, reconnects, and flashing stages.
+     *
+     * @param {FastbootEventListener} listener - Called with each event.
+     */
+    addEventListener(listener: FastbootEventListener) {
+        this._listeners.add(listener);
     }
 
     /**
-     * Returns whether a USB device is connected and ready for use.
+     * Unregister a listener added by {@link addEventListener}.
+     *
+     * @param {FastbootEventListener} listener - Listener to remove.
      */
-    get isConnected() {
-        return (
-            this.device !== null &&
-            this.device.opened &&
-            this.device.configurations[0].interfaces[0].claimed
-        );
+    removeEventListener(listener: FastbootEventListener) {
+        this._listeners.delete(listener);
     }
 
     /**
-     * Validate the current USB device's details and connect to it.
+     * Send an event to all listeners. Errors in listeners are logged, as they
+     * shouldn't interrupt flashing.
      *
      * @private
      */
-    private async _validateAndConnectDevice() {
-        if (this.device === null) {
-            throw new UsbError("Attempted to connect to null device");
-        }
-
-        // Validate device
-        let ife = this.device!.configurations[0].interfaces[0].alternates[0];
-        if (ife.endpoints.length !== 2) {
-            throw new UsbError("Interface has wrong number of endpoints");
+    private _emit(event: FastbootEvent) {
+        for (let listener of Array.from(this._listeners)) {
+            try {
+                listener(event);
+            } catch (error) {
+                common.logDebug("Error in event listener:", error);
+            }
         }
+    }
 
-        this.epIn = null;
-        this.epOut = null;
-        for (let endpoint of ife.endpoints) {
-            common.logVerbose("Checking endpoint:", endpoint);
-            if (endpoint.type !== "bulk") {
-                throw new UsbError("Interface endpoint is not bulk");
-            }
+    /**
+     * Start hashing a transfer for its data event. Hashing is skipped when
+     * nobody is listening, as it slows down large transfers.
+     *
+     * @private
+     */
+    private _startDataHash() {
+        return this._listeners.size > 0 ? new Sha256() : null;
+    }
 
-            if (endpoint.direction === "in") {
-                if (this.epIn === null) {
-                    this.epIn = endpoint.endpointNumber;
-                } else {
-                    throw new UsbError("Interface has multiple IN endpoints");
-                }
-            } else if (endpoint.direction === "out") {
-                if (this.epOut === null) {
-                    this.epOut = endpoint.endpointNumber;
-                } else {
-                    throw new UsbError("Interface has multiple OUT endpoints");
-                }
-            }
-        }
-        common.logVerbose("Endpoints: in =", this.epIn, ", out =", this.epOut);
+    /**
+     * Emit the data event of a finished transfer.
+     *
+     * @private
+     */
+    private _emitData(
+        direction: "out" | "in",
+        size: number,
+        hash: Sha256 | null,
+        startTime: number
+    ) {
+        let elapsed = Date.now() - startTime;
+        this._emit({
+            type: "data",
+            time: Date.now(),
+            direction: direction,
+            size: size,
+            sha256: hash !== null ? toHex(hash.digest()) : null,
+            elapsed: elapsed,
+            throughput: (size * 1000) / Math.max(elapsed, 1),
+        });
+    }
 
-        try {
-            await this.device!.open();
-            // Opportunistically reset to fix issues on some platforms
-            try {
-                await this.device!.reset();
-            } catch (error) {
-                /* Failed = doesn't support reset */
-            }
+    /**
+     * Get the serial number of the connected device, from the transport if it
+     * can identify devices and from the bootloader otherwise.
+     *
+     * @private
+     */
+    private async _readSerialNumber() {
+        return (
+            this.transport.serialNumber ?? (await this.getVariable("serialno"))
+        );
+    }
 
-            await this.device!.selectConfiguration(1);
-            await this.device!.claimInterface(0); // fastboot
-        } catch (error) {
-            // Propagate exception from waitForConnect()
-            if (this._connectReject !== null) {
-                this._connectReject(error);
-                this._connectResolve = null;
-                this._connectReject = null;
-            }
+    /**
+     * The underlying USB device, if the WebUSB transport is in use.
+     *
+     * @deprecated Use the device of {@link UsbTransport} instead.
+     */
+    get device(): USBDevice | null {
+        return this.transport instanceof UsbTransport
+            ? this.transport.device
+            : null;
+    }
 
-            throw error;
+    set device(device: USBDevice | null) {
+        if (!(this.transport instanceof UsbTransport)) {
+            throw new UsbError(
+                "Device can only be set for the WebUSB transport"
+            );
         }
+        this.transport.device = device;
+    }
 
-        // Return from waitForConnect()
-        if (this._connectResolve !== null) {
-            this._connectResolve(undefined);
-            this._connectResolve = null;
-            this._connectReject = null;
-        }
+    /**
+     * Number of the USB endpoint for receiving data, if the WebUSB transport
+     * is in use.
+     *
+     * @deprecated Use the epIn of {@link UsbTransport} instead.
+     */
+    get epIn(): number | null {
+        return this.transport instanceof UsbTransport
+            ? this.transport.epIn
+            : null;
+    }
+
+    /**
+     * Number of the USB endpoint for sending data, if the WebUSB transport is
+     * in use.
+     *
+     * @deprecated Use the epOut of {@link UsbTransport} instead.
+     */
+    get epOut(): number | null {
+        return this.transport instanceof UsbTransport
+            ? this.transport.epOut
+            : null;
+    }
+
+    /**
+     * Returns whether a device is connected and ready for use.
+     */
+    get isConnected() {
+        return this.transport.isConnected;
     }
 
     /**
-     * Wait for the current USB device to disconnect, if it's still connected.
+     * Wait for the current device to disconnect, if it's still connected.
      * Returns immediately if no device is connected.
      */
     async waitForDisconnect() {
-        if (this.device === null) {
-            return;
-        }
-
-        return await new Promise((resolve, _reject) => {
-            this._disconnectResolve = resolve;
-        });
+        return await this.transport.waitForDisconnect();
     }
 
     /**
-     * Wait for the USB device to connect. Returns at the next connection,
-     * regardless of whether the connected USB device matches the previous one.
+     * Wait for the device to connect again, e.g. after a reboot. Only the
+     * device with the serial number from {@link connect} is accepted: the
+     * WebUSB transport ignores other devices, and other transports fail if the
+     * bootloader reports a different serial number.
      *
      * @param {ReconnectCallback} onReconnect - Callback to request device reconnection on Android.
+     * @throws {FastbootError} If a different device connected.
      */
     async waitForConnect(onReconnect: ReconnectCallback = () => {}) {
-        // On Android, we need to request the user to reconnect the device manually
-        // because there is no support for automatic reconnection.
-        if (navigator.userAgent.includes("Android")) {
-            await this.waitForDisconnect();
-            onReconnect();
+        await this.transport.waitForConnect(onReconnect);
+
+        let serialNumber = await this._readSerialNumber();
+        if (this.serialNumber !== null && serialNumber !== this.serialNumber) {
+            throw new FastbootError(
+                "FAIL",
+                `Expected device ${this.serialNumber} to reconnect, but ${serialNumber} connected`
+            );
         }
 
-        return await new Promise((resolve, reject) => {
-            this._connectResolve = resolve;
-            this._connectReject = reject;
+        this._emit({
+            type: "reconnect",
+            time: Date.now(),
+            serialNumber: serialNumber,
         });
     }
 
     /**
-     * Request the user to select a USB device and connect to it using the
-     * fastboot protocol.
+     * Request the user to select a device and connect to it using the
+     * fastboot protocol. The device is then identified by its serial number,
+     * so that only the same device is used after reconnecting.
      *
      * @throws {UsbError}
      */
     async connect() {
-        let devices = await navigator.usb.getDevices();
-        common.logDebug("Found paired USB devices:", devices);
-        if (devices.length === 1) {
-            this.device = devices[0];
-        } else {
-            // If multiple paired devices are connected, request the user to
-            // select a specific one to reduce ambiguity. This is also necessary
-            // if no devices are already paired, i.e. first use.
-            common.logDebug(
-                "No or multiple paired devices are connected, requesting one"
-            );
-            this.device = await navigator.usb.requestDevice({
-                filters: [
-                    {
-                        classCode: FASTBOOT_USB_CLASS,
-                        subclassCode: FASTBOOT_USB_SUBCLASS,
-                        protocolCode: FASTBOOT_USB_PROTOCOL,
-                    },
-                ],
-            });
-        }
-        common.logDebug("Using USB device:", this.device);
-
-        if (!this._registeredUsbListeners) {
-            navigator.usb.addEventListener("disconnect", (event) => {
-                if (event.device === this.device) {
-                    common.logDebug("USB device disconnected");
-                    if (this._disconnectResolve !== null) {
-                        this._disconnectResolve(undefined);
-                        this._disconnectResolve = null;
-                    }
-                }
-            });
-
-            navigator.usb.addEventListener("connect", async (event) => {
-                common.logDebug("USB device connected");
-                this.device = event.device;
-
-                // Check whether waitForConnect() is pending and save it for later
-                let hasPromiseReject = this._connectReject !== null;
-                try {
-                    await this._validateAndConnectDevice();
-                } catch (error) {
-                    // Only rethrow errors from the event handler if waitForConnect()
-                    // didn't already handle them
-                    if (!hasPromiseReject) {
-                        throw error;
-                    }
-                }
-            });
-
-            this._registeredUsbListeners = true;
-        }
-
-        await this._validateAndConnectDevice();
+        await this.transport.connect();
+        this.serialNumber = await this._readSerialNumber();
+        common.logDebug("Connected to device", this.serialNumber);
     }
 
     /**
@@ -283,26 +357,47 @@ export class FastbootDevice {
      * @returns {Promise<CommandResponse>} Object containing response text and data size, if any.
      * @throws {FastbootError}
      */
-    private async _readResponse(): Promise<CommandResponse> {
+    private async _readResponse(
+        options: CommandOptions = {}
+    ): Promise<CommandResponse> {
         let respData = {
             text: "",
         } as CommandResponse;
         let respStatus;
 
         do {
-            let respPacket = await this.device!.transferIn(this.epIn!, 64);
-            let response = new TextDecoder().decode(respPacket.data);
+            let respPacket = await this.transport.read(64);
+            let response = new TextDecoder().decode(respPacket);
 
             respStatus = response.substring(0, 4);
             let respMessage = response.substring(4);
             common.logDebug(`Response: ${respStatus} ${respMessage}`);
+            this._emit({
+                type: "response",
+                time: Date.now(),
+                command: this._command,
+                status: respStatus,
+                message: respMessage,
+                elapsed: Date.now() - this._commandTime,
+            });
 
             if (respStatus === "OKAY") {
                 // OKAY = end of response for this command
                 respData.text += respMessage;
             } else if (respStatus === "INFO") {
                 // INFO = additional info line
-                respData.text += respMessage + "\n";
+                if (options.onInfo !== undefined) {
+                    options.onInfo(respMessage);
+                } else {
+                    respData.text += respMessage + "\n";
+                }
+            } else if (respStatus === "TEXT") {
+                // TEXT = text to show as-is, without a newline
+                if (options.onText !== undefined) {
+                    options.onText(respMessage);
+                } else {
+                    respData.text += respMessage;
+                }
             } else if (respStatus === "DATA") {
                 // DATA = hex string, but it's returned separately for safety
                 respData.dataSize = respMessage;
@@ -310,8 +405,8 @@ export class FastbootDevice {
                 // Assume FAIL or garbage data
                 throw new FastbootError(respStatus, respMessage);
             }
-            // INFO = more packets are coming
-        } while (respStatus === "INFO");
+            // INFO and TEXT = more packets are coming
+        } while (respStatus === "INFO" || respStatus === "TEXT");
 
         return respData;
     }
@@ -321,10 +416,14 @@ export class FastbootDevice {
      * This is in raw fastboot format, not AOSP fastboot syntax.
      *
      * @param {string} command - The command to send.
+     * @param {CommandOptions} options - Live callbacks for INFO and TEXT responses, e.g. to stream the output of long OEM commands.
      * @returns {Promise<CommandResponse>} Object containing response text and data size, if any.
      * @throws {FastbootError}
      */
-    async runCommand(command: string): Promise<CommandResponse> {
+    async runCommand(
+        command: string,
+        options: CommandOptions = {}
+    ): Promise<CommandResponse> {
         // Command and response length is always 64 bytes regardless of protocol
         if (command.length > 64) {
             throw new RangeError();
@@ -332,10 +431,17 @@ export class FastbootDevice {
 
         // Send raw UTF-8 command
         let cmdPacket = new TextEncoder().encode(command);
-        await this.device!.transferOut(this.epOut!, cmdPacket);
+        this._command = command;
+        this._commandTime = Date.now();
+        this._emit({
+            type: "command",
+            time: this._commandTime,
+            command: command,
+        });
+        await this.transport.write(cmdPacket.buffer);
         common.logDebug("Command:", command);
 
-        return this._readResponse();
+        return this._readResponse(options);
     }
 
     /**
@@ -371,6 +477,34 @@ export class FastbootDevice {
         return resp ? resp.trim() : null;
     }
 
+    /**
+     * Read the values of all bootloader variables, using `getvar:all`.
+     * On bootloaders that don't support it, common variables are queried
+     * individually instead.
+     * Equivalent to `fastboot getvar all`.
+     *
+     * @param {string[]} probePartitions - Partitions to query if getvar:all is unsupported. Defaults to common partitions.
+     * @returns {Promise<Object>} Textual content of the variables, keyed by name.
+     * @throws {FastbootError}
+     */
+    async getAllVariables(
+        probePartitions?: Array<string>
+    ): Promise<{ [name: string]: string }> {
+        return await getAllVariables(this, probePartitions);
+    }
+
+    /**
+     * Read all bootloader variables and parse them into structured
+     * information about the device, its partitions, and its slots.
+     *
+     * @param {string[]} probePartitions - Partitions to query if getvar:all is unsupported. Defaults to common partitions.
+     * @returns {Promise<DeviceInfo>} Parsed device information.
+     * @throws {FastbootError}
+     */
+    async getDeviceInfo(probePartitions?: Array<string>): Promise<DeviceInfo> {
+        return parseDeviceInfo(await getAllVariables(this, probePartitions));
+    }
+
     /**
      * Get the maximum download size for a single payload, in bytes.
      *
@@ -395,6 +529,23 @@ export class FastbootDevice {
         return DEFAULT_DOWNLOAD_SIZE;
     }
 
+    /**
+     * Get the maximum size for a single fetch, in bytes.
+     *
+     * @private
+     * @returns {Promise<number>}
+     * @throws {FastbootError}
+     */
+    private async _getFetchSize(): Promise<number> {
+        let resp = await this.getVariable("max-fetch-size");
+        if (resp) {
+            return Math.min(parseInt(resp, 16), MAX_DOWNLOAD_SIZE);
+        }
+
+        // Not all fastbootd versions report a limit
+        return DEFAULT_DOWNLOAD_SIZE;
+    }
+
     /**
      * Send a raw data payload to the bootloader.
      *
@@ -402,11 +553,19 @@ export class FastbootDevice {
      */
     private async _sendRawPayload(
         buffer: ArrayBuffer,
-        onProgress: FlashProgressCallback
+        onProgress: FlashProgressCallback,
+        signal?: AbortSignal
     ) {
+        let startTime = Date.now();
+        let hash = this._startDataHash();
         let i = 0;
         let remainingBytes = buffer.byteLength;
         while (remainingBytes > 0) {
+            if (signal?.aborted) {
+                await this._finishAbortedPayload(remainingBytes);
+                throw new common.AbortError();
+            }
+
             let chunk = buffer.slice(
                 i * BULK_TRANSFER_SIZE,
                 (i + 1) * BULK_TRANSFER_SIZE
@@ -422,13 +581,122 @@ export class FastbootDevice {
                 );
             }
 
-            await this.device!.transferOut(this.epOut!, chunk);
+            await this.transport.write(chunk);
+            hash?.update(new Uint8Array(chunk));
 
             remainingBytes -= chunk.byteLength;
             i += 1;
         }
 
         onProgress(1.0);
+        this._emitData("out", buffer.byteLength, hash, startTime);
+    }
+
+    /**
+     * Finish the data phase of an aborted transfer, so that the device is
+     * ready for the next command. Transfers can't be cancelled, so the rest
+     * of the payload is sent as zeros and never used.
+     *
+     * @private
+     */
+    private async _finishAbortedPayload(remainingBytes: number) {
+        common.logDebug(
+            `Transfer aborted, sending ${remainingBytes} bytes of padding`
+        );
+        let zeros = new ArrayBuffer(BULK_TRANSFER_SIZE);
+        while (remainingBytes > 0) {
+            let length = Math.min(remainingBytes, BULK_TRANSFER_SIZE);
+            await this.transport.write(
+                length === BULK_TRANSFER_SIZE ? zeros : zeros.slice(0, length)
+            );
+            remainingBytes -= length;
+        }
+
+        try {
+            await this._readResponse();
+        } catch (error) {
+            if (!(error instanceof FastbootError)) {
+                throw error;
+            }
+            common.logDebug("Aborted transfer failed:", error);
+        }
+    }
+
+    /**
+     * Receive a raw data payload from the bootloader.
+     *
+     * @private
+     */
+    private async _receiveRawPayload(
+        size: number,
+        onProgress: FlashProgressCallback
+    ): Promise<Blob> {
+        let startTime = Date.now();
+        let hash = this._startDataHash();
+        let blob = new Blob([]);
+        let parts: Array<ArrayBuffer> = [];
+        let partsBytes = 0;
+        let receivedBytes = 0;
+        let i = 0;
+        while (receivedBytes < size) {
+            if (i % 10 === 0) {
+                onProgress(receivedBytes / size);
+            }
+
+            let chunk = await this.transport.read(
+                Math.min(BULK_TRANSFER_SIZE, size - receivedBytes)
+            );
+            if (i % 1000 === 0) {
+                common.logVerbose(
+                    `  Received ${chunk.byteLength} bytes from endpoint, ${
+                        size - receivedBytes
+                    } remaining, i=${i}`
+                );
+            }
+
+            hash?.update(new Uint8Array(chunk));
+            parts.push(chunk);
+            partsBytes += chunk.byteLength;
+            receivedBytes += chunk.byteLength;
+            if (partsBytes >= RECEIVE_FLUSH_SIZE) {
+                blob = new Blob([blob, ...parts]);
+                parts = [];
+                partsBytes = 0;
+            }
+            i += 1;
+        }
+
+        onProgress(1.0);
+        blob = new Blob([blob, ...parts]);
+        this._emitData("in", blob.size, hash, startTime);
+        return blob;
+    }
+
+    /**
+     * Run a command that makes the bootloader send data to the host, and
+     * receive the data.
+     *
+     * @private
+     */
+    private async _runDataCommand(
+        command: string,
+        onProgress: FlashProgressCallback
+    ): Promise<Blob> {
+        let resp = await this.runCommand(command);
+        if (resp.dataSize === undefined) {
+            throw new FastbootError(
+                "FAIL",
+                `Unexpected response to ${command} command: ${resp.text}`
+            );
+        }
+
+        let size = parseInt(resp.dataSize!, 16);
+        common.logDebug(`Receiving payload: ${size} bytes`);
+        let data = await this._receiveRawPayload(size, onProgress);
+
+        common.logDebug("Payload received, waiting for response...");
+        await this._readResponse();
+        return data;
     }
 
     /**
@@ -438,13 +706,17 @@ export class FastbootDevice {
      * @param {string} partition - Name of the partition the payload is intended for.
      * @param {ArrayBuffer} buffer - Buffer containing the data to upload.
      * @param {FlashProgressCallback} onProgress - Callback for upload progress updates.
+     * @param {AbortSignal} signal - Signal to abort the upload. If it's aborted while the data is being sent, the rest is sent as zeros to finish the transfer.
      * @throws {FastbootError}
+     * @throws {AbortError}
      */
     async upload(
         partition: string,
         buffer: ArrayBuffer,
-        onProgress: FlashProgressCallback = (_progress) => {}
+        onProgress: FlashProgressCallback = (_progress) => {},
+        signal?: AbortSignal
     ) {
+        common.throwIfAborted(signal);
         common.logDebug(
             `Uploading single sparse to ${partition}: ${buffer.byteLength} bytes`
         );
@@ -475,12 +747,210 @@ export class FastbootDevice {
         }
 
         common.logDebug(`Sending payload: ${buffer.byteLength} bytes`);
-        await this._sendRawPayload(buffer, onProgress);
+        await this._sendRawPayload(buffer, onProgress, signal);
 
         common.logDebug("Payload sent, waiting for response...");
         await this._readResponse();
     }
 
+    /**
+     * Read the data staged on the device by a previous command, e.g. an OEM
+     * command that dumps logs or memory. This uses the legacy `upload` command.
+     * Equivalent to `fastboot get_staged`.
+     *
+     * @param {FlashProgressCallback} onProgress - Callback for transfer progress updates.
+     * @returns {Promise<Blob>} Blob containing the staged data.
+     * @throws {FastbootError}
+     */
+    async getStaged(
+        onProgress: FlashProgressCallback = (_progress) => {}
+    ): Promise<Blob> {
+        return await this._runDataCommand("upload", onProgress);
+    }
+
+    /**
+     * Read the contents of a partition, or part of it, from the device.
+     * Large reads are split according to the device's max-fetch-size.
+     * This requires the `fetch` command, which is only supported by fastbootd.
+     * Equivalent to `fastboot fetch`.
+     *
+     * @param {string} partition - The name of the partition to read. The current slot is used for A/B partitions.
+     * @param {FlashProgressCallback} onProgress - Callback for transfer progress updates.
+     * @param {number} offset - Offset to start reading at, in bytes.
+     * @param {number} size - Number of bytes to read. Defaults to the rest of the partition.
+     * @returns {Promise<Blob>} Blob containing the partition data.
+     * @throws {FastbootError}
+     */
+    async fetch(
+        partition: string,
+        onProgress: FlashProgressCallback = (_progress) => {},
+        offset: number = 0,
+        size?: number
+    ): Promise<Blob> {
+        partition = await this._resolvePartition(partition);
+
+        if (size === undefined) {
+            let partSize = await this.getVariable(`partition-size:${partition}`);
+            if (!partSize) {
+                throw new FastbootError(
+                    "FAIL",
+                    `Unable to get size of partition ${partition}`
+                );
+            }
+            size = parseInt(partSize, 16) - offset;
+        }
+
+        return await this._fetchRange(partition, offset, size, onProgress);
+    }
+
+    /**
+     * Read a range of a fully-qualified partition, in as many fetches as
+     * necessary.
+     *
+     * @private
+     */
+    private async _fetchRange(
+        partition: string,
+        offset: number,
+        size: number,
+        onProgress: FlashProgressCallback
+    ): Promise<Blob> {
+        let maxFetchSize = await this._getFetchSize();
+        common.logDebug(
+            `Fetching ${size} bytes from ${partition} at offset ${offset}, ${maxFetchSize} bytes per fetch`
+        );
+
+        let parts: Array<Blob> = [];
+        let fetchedBytes = 0;
+        while (fetchedBytes < size) {
+            let fetchSize = Math.min(maxFetchSize, size - fetchedBytes);
+            let fetchOffset = offset + fetchedBytes;
+            let data = await this._runDataCommand(
+                `fetch:${partition}:0x${fetchOffset.toString(
+                    16
+                )}:0x${fetchSize.toString(16)}`,
+                (progress) => {
+                    onProgress((fetchedBytes + progress * fetchSize) / size);
+                }
+            );
+            if (data.size !== fetchSize) {
+                throw new FastbootError(
+                    "FAIL",
+                    `Bootloader sent ${data.size} bytes, requested ${fetchSize} bytes`
+                );
+            }
+
+            parts.push(data);
+            fetchedBytes += fetchSize;
+        }
+
+        onProgress(1.0);
+        return new Blob(parts);
+    }
+
+    /**
+     * Check that a range of a partition matches the expected data. The range
+     * is fetched and compared in slices, so only one slice is kept in memory.
+     *
+     * @private
+     * @throws {FastbootError}
+     */
+    private async _verifyRange(
+        partition: string,
+        offset: number,
+        size: number,
+        // Returns the index of the first byte that doesn't match, or -1
+        findMismatch: (actual: Uint8Array, pos: number) => Promise<number>
+    ) {
+        for (let pos = 0; pos < size; pos += VERIFY_COMPARE_SIZE) {
+            let actual = await this._fetchRange(
+                partition,
+                offset + pos,
+                Math.min(VERIFY_COMPARE_SIZE, size - pos),
+                (_progress) => {}
+            );
+
+            let mismatch = await findMismatch(
+                new Uint8Array(await common.readBlobAsBuffer(actual)),
+                pos
+            );
+            if (mismatch !== -1) {
+                throw new FastbootError(
+                    "FAIL",
+                    `Verification of ${partition} failed: data differs at offset ${
+                        offset + pos + mismatch
+                    }`
+                );
+            }
+        }
+    }
+
+    /**
+     * Check that a range of a partition matches the given data.
+     *
+     * @private
+     * @throws {FastbootError}
+     */
+    private async _verifyData(partition: string, offset: number, data: Blob) {
+        await this._verifyRange(
+            partition,
+            offset,
+            data.size,
+            async (actual, pos) => {
+                let expected = new Uint8Array(
+                    await common.readBlobAsBuffer(
+                        data.slice(pos, pos + actual.length)
+                    )
+                );
+                return actual.findIndex((byte, i) => byte !== expected[i]);
+            }
+        );
+    }
+
+    /**
+     * Read back a flashed partition and compare it with the image that was
+     * written. Regions that a sparse image doesn't cover are not checked, and
+     * FILL chunks are compared with their pattern without expanding them.
+     *
+     * @private
+     * @throws {FastbootError}
+     */
+    private async _verifyFlash(
+        partition: string,
+        blob: Blob,
+        sparseHeader: Sparse.SparseHeader | null
+    ) {
+        common.logDebug(`Verifying ${partition}`);
+        if (sparseHeader === null) {
+            await this._verifyData(partition, 0, blob);
+            return;
+        }
+
+        for await (let { chunk, block } of Sparse.readChunks(blob)) {
+            let offset = block * sparseHeader.blockSize;
+            let length = chunk.blocks * sparseHeader.blockSize;
+            if (chunk.type === Sparse.ChunkType.Raw) {
+                await this._verifyData(partition, offset, chunk.data!);
+            } else if (chunk.type === Sparse.ChunkType.Fill) {
+                let pattern = new Uint8Array(
+                    await common.readBlobAsBuffer(chunk.data!)
+                );
+                // Slices start at multiples of the pattern size
+                await this._verifyRange(
+                    partition,
+                    offset,
+                    length,
+                    async (actual) =>
+                        actual.findIndex(
+                            (byte, i) => byte !== pattern[i % pattern.length]
+                        )
+                );
+            }
+        }
+
+        common.logDebug(`Verified ${partition}`);
+    }
+
     /**
      * Reboot to the given target, and optionally wait for the device to
      * reconnect.
@@ -505,6 +975,67 @@ export class FastbootDevice {
         }
     }
 
+    /**
+     * Get the full names of the partitions selected by a partition name and
+     * slot selection. Partitions without slots are shared by all slots.
+     *
+     * @private
+     */
+    private async _resolvePartitions(partition: string, slot?: string) {
+        if ((await this.getVariable(`has-slot:${partition}`)) !== "yes") {
+            return [partition];
+        }
+
+        // Use current slot by default
+        let slots =
+            slot === undefined
+                ? [await getCurrentSlot(this)]
+                : await resolveSlots(this, slot);
+        return slots.map((s) => `${partition}_${s}`);
+    }
+
+    /**
+     * Get the full name of a partition, including the current slot's suffix
+     * if it's an A/B partition.
+     *
+     * @private
+     */
+    private async _resolvePartition(partition: string) {
+        return (await this._resolvePartitions(partition))[0];
+    }
+
+    /**
+     * Get the current slot of the device.
+     *
+     * @returns {Promise<string | null>} The current slot without underscore, or null if the device doesn't have slots.
+     * @throws {FastbootError}
+     */
+    async getCurrentSlot(): Promise<string | null> {
+        return await getCurrentSlot(this);
+    }
+
+    /**
+     * Get the state of every A/B slot on the device, e.g. for rollback
+     * testing.
+     *
+     * @returns {Promise<SlotState[]>} State of each slot, empty if the device doesn't have slots.
+     * @throws {FastbootError}
+     */
+    async getSlots(): Promise<Array<SlotState>> {
+        return await getSlots(this);
+    }
+
+    /**
+     * Mark the given slot as active, so that the device boots from it next.
+     * Equivalent to `fastboot set_active`.
+     *
+     * @param {string} slot - Slot to activate: a slot name, or other for the inactive slot.
+     * @throws {FastbootError}
+     */
+    async setActiveSlot(slot: string) {
+        await setActiveSlot(this, slot);
+    }
+
     /**
      * Flash the given Blob to the given partition on the device. Any image
      * format supported by the bootloader is allowed, e.g. sparse or raw images.
@@ -512,21 +1043,121 @@ export class FastbootDevice {
      * large sparse images will be split and flashed in multiple passes
      * depending on the bootloader's payload size limit.
      *
+     * A/B partitions are flashed to the current slot unless another slot is
+     * selected in the options.
+     *
      * @param {string} partition - The name of the partition to flash.
      * @param {Blob} blob - The Blob to retrieve data from.
      * @param {FlashProgressCallback} onProgress - Callback for flashing progress updates.
+     * @param {FlashOptions} options - Additional flashing options.
+     * @returns {Promise<string[]>} Full names of the partitions that were written, including slot suffixes.
      * @throws {FastbootError}
+     * @throws {ImageError} If validation is enabled and the image is invalid.
+     * @throws {VbmetaError} If verification flags are set for an invalid vbmeta image.
+     * @throws {AbortError} If aborted, with the partitions that were fully written.
      */
     async flashBlob(
         partition: string,
         blob: Blob,
-        onProgress: FlashProgressCallback = (_progress) => {}
+        onProgress: FlashProgressCallback = (_progress) => {},
+        options: FlashOptions = {}
     ) {
-        // Use current slot if partition is A/B
-        if ((await this.getVariable(`has-slot:${partition}`)) === "yes") {
-            partition += "_" + (await this.getVariable("current-slot"));
+        common.throwIfAborted(options.signal);
+        // Check this before flashing, as the bootloader only fails the fetch
+        if (
+            options.verify &&
+            (await this.getVariable("is-userspace")) !== "yes"
+        ) {
+            throw new FastbootError(
+                "FAIL",
+                `Can't verify ${partition} outside of fastbootd, as the bootloader can't read partitions back`
+            );
+        }
+
+        if (options.validate) {
+            let errors = await Sparse.validate(blob);
+            // Raw images have no structure to validate
+            if (
+                errors.length > 0 &&
+                errors[0].reason !== Sparse.ImageErrorReason.NotSparse
+            ) {
+                for (let error of errors) {
+                    common.logDebug(`Invalid ${partition} image:`, error);
+                }
+                throw errors[0];
+            }
         }
 
+        // As in AOSP fastboot, verification flags only apply to the main vbmeta
+        // unless requested otherwise
+        if (
+            (options.disableVerity || options.disableVerification) &&
+            (options.applyVbmeta || partition.match(/^vbmeta(?:_[a-z])?$/))
+        ) {
+            // Images extracted from OTA payloads are sparse
+            let header = await common.readBlobAsBuffer(
+                blob.slice(0, Sparse.FILE_HEADER_SIZE)
+            );
+            if (
+                header.byteLength === Sparse.FILE_HEADER_SIZE &&
+                Sparse.parseFileHeader(header) !== null
+            ) {
+                blob = await Sparse.toRaw(blob);
+            }
+
+            let flags = (await parseVbmeta(blob)).flags;
+            if (options.disableVerity) {
+                flags |= VbmetaFlags.HashtreeDisabled;
+            }
+            if (options.disableVerification) {
+                flags |= VbmetaFlags.VerificationDisabled;
+            }
+
+            common.logDebug(`Setting ${partition} flags to ${flags}`);
+            blob = await setVbmetaFlags(blob, flags);
+        }
+
+        let partitions = await this._resolvePartitions(partition, options.slot);
+        let activeSlot = await resolveActiveSlot(
+            this,
+            options.slot,
+            options.setActive
+        );
+
+        let written: Array<string> = [];
+        for (let [i, target] of partitions.entries()) {
+            await this._flashSinglePartition(
+                target,
+                blob,
+                (progress) => {
+                    onProgress((i + progress) / partitions.length);
+                },
+                options,
+                written
+            );
+            written.push(target);
+        }
+
+        if (activeSlot !== null) {
+            await setActiveSlot(this, activeSlot);
+        }
+        return written;
+    }
+
+    /**
+     * Flash the given Blob to a fully-qualified partition.
+     *
+     * @private
+     */
+    private async _flashSinglePartition(
+        partition: string,
+        blob: Blob,
+        onProgress: FlashProgressCallback,
+        options: FlashOptions,
+        written: Array<string>
+    ) {
+        let image = blob;
+
         let maxDlSize = await this._getDownloadSize();
         let fileHeader = await common.readBlobAsBuffer(
             blob.slice(0, Sparse.FILE_HEADER_SIZE)
@@ -534,8 +1165,9 @@ export class FastbootDevice {
 
         let totalBytes = blob.size;
         let isSparse = false;
+        let sparseHeader = null;
         try {
-            let sparseHeader = Sparse.parseFileHeader(fileHeader);
+            sparseHeader = Sparse.parseFileHeader(fileHeader);
             if (sparseHeader !== null) {
                 totalBytes = sparseHeader.blocks * sparseHeader.blockSize;
                 isSparse = true;
@@ -556,8 +1188,16 @@ export class FastbootDevice {
             );
         }
 
-        // Convert image to sparse (for splitting) if it exceeds the size limit
-        if (blob.size > maxDlSize && !isSparse) {
+        // Convert image to sparse for splitting if it exceeds the size limit,
+        // and to skip sending filled blocks if it's large. Images that aren't
+        // block-aligned are only converted when necessary because padding
+        // them may exceed the partition size.
+        let baseName = partition.replace(/_[a-z]$/, "");
+        let shouldConvert =
+            blob.size >= SPARSE_CONVERT_SIZE &&
+            blob.size % 4096 === 0 &&
+            !this.rawOnlyPartitions.includes(baseName);
+        if (!isSparse && (blob.size > maxDlSize || shouldConvert)) {
             common.logDebug(`${partition} image is raw, converting to sparse`);
             blob = await Sparse.fromRaw(blob);
         }
@@ -568,9 +1208,26 @@ export class FastbootDevice {
         let splits = 0;
         let sentBytes = 0;
         for await (let split of Sparse.splitBlob(blob, maxDlSize)) {
-            await this.upload(partition, split.data, (progress) => {
-                onProgress((sentBytes + progress * split.bytes) / totalBytes);
-            });
+            // Stop between splits or while uploading one, never between
+            // uploading and flashing one
+            common.throwIfAborted(options.signal, written);
+            try {
+                await this.upload(
+                    partition,
+                    split.data,
+                    (progress) => {
+                        onProgress(
+                            (sentBytes + progress * split.bytes) / totalBytes
+                        );
+                    },
+                    options.signal
+                );
+            } catch (error) {
+                if (error instanceof common.AbortError) {
+                    throw new common.AbortError(written);
+                }
+                throw error;
+            }
 
             common.logDebug("Flashing payload...");
             await this.runCommand(`flash:${partition}`);
@@ -580,32 +1237,89 @@ export class FastbootDevice {
         }
 
         common.logDebug(`Flashed ${partition} with ${splits} split(s)`);
+
+        if (options.verify) {
+            await this._verifyFlash(partition, image, sparseHeader);
+        }
     }
 
     /**
      * Boot the given Blob on the device.
      * Equivalent to `fastboot boot boot.img`.
      *
-     * @param {Blob} blob - The Blob to retrieve data from.
+     * If the Blob isn't a boot image, it's treated as a kernel and a boot
+     * image is built around it with {@link createBootImage}, using the
+     * ramdisk, command line, and header version from the options. This is
+     * equivalent to `fastboot boot kernel ramdisk`.
+     *
+     * @param {Blob} blob - The Blob to retrieve data from: a boot image or a kernel.
      * @param {FlashProgressCallback} onProgress - Callback for flashing progress updates.
+     * @param {BootOptions} options - Additional boot options.
      * @throws {FastbootError}
+     * @throws {BootImageError} If the command line can't be replaced or the boot image can't be built.
+     * @throws {AbortError}
      */
     async bootBlob(
         blob: Blob,
-        onProgress: FlashProgressCallback = (_progress) => {}
+        onProgress: FlashProgressCallback = (_progress) => {},
+        options: BootOptions = {}
     ) {
+        common.throwIfAborted(options.signal);
+        if (!(await isBootImage(blob))) {
+            // Like AOSP fastboot, build a boot image around anything else
+            blob = await createBootImage({
+                headerVersion: options.headerVersion,
+                kernel: blob,
+                ramdisk: options.ramdisk,
+                cmdline: options.cmdline,
+            });
+        } else if (options.cmdline !== undefined) {
+            let image = await parseBootImage(blob);
+            image.cmdline = options.cmdline;
+            blob = await createBootImage(image);
+        }
 
         common.logDebug(`Booting ${blob.size} bytes image`);
-
         let data = await common.readBlobAsBuffer(blob);
-        await this.upload("boot.img", data, onProgress);
 
+        // Only switch slots once the image is ready, so that invalid images
+        // leave the device unchanged
+        common.throwIfAborted(options.signal);
+        if (options.setActive !== undefined) {
+            await setActiveSlot(this, options.setActive);
+        }
+
+        await this.upload("boot.img", data, onProgress, options.signal);
+
+        common.throwIfAborted(options.signal);
         common.logDebug("Booting payload...");
         await this.runCommand("boot");
 
         common.logDebug(`Booted ${blob.size} bytes image`);
     }
 
+    /**
+     * Wrap a factory progress callback to emit an event whenever the stage,
+     * i.e. the action or item, changes.
+     *
+     * @private
+     */
+    private _trackStages(onProgress: FactoryProgressCallback) {
+        let stage: string | null = null;
+        return (action: string, item: string, progress: number) => {
+            if (stage !== `${action}:${item}`) {
+                stage = `${action}:${item}`;
+                this._emit({
+                    type: "stage",
+                    time: Date.now(),
+                    action: action,
+                    item: item,
+                });
+            }
+            onProgress(action, item, progress);
+        };
+    }
+
     /**
      * Flash the given factory images zip onto the device, with automatic handling
      * of firmware, system, and logical partitions as AOSP fastboot and
@@ -616,13 +1330,58 @@ export class FastbootDevice {
      * @param {boolean} wipe - Whether to wipe super and userdata. Equivalent to `fastboot -w`.
      * @param {ReconnectCallback} onReconnect - Callback to request device reconnection.
      * @param {FactoryProgressCallback} onProgress - Progress callback for image flashing.
+     * @param {FactoryFlashOptions} options - Additional flashing options, e.g. the slot to flash.
+     * @throws {AbortError} If aborted, with the partitions that were fully written.
      */
     async flashFactoryZip(
         blob: Blob,
         wipe: boolean,
         onReconnect: ReconnectCallback,
-        onProgress: FactoryProgressCallback = (_progress) => {}
+        onProgress: FactoryProgressCallback = (_progress) => {},
+        options: FactoryFlashOptions = {}
     ) {
-        return await flashFactoryZip(this, blob, wipe, onReconnect, onProgress);
+        return await flashFactoryZip(
+            this,
+            blob,
+            wipe,
+            onReconnect,
+            this._trackStages(onProgress),
+            options
+        );
+    }
+
+    /**
+     * Flash the given A/B OTA zip onto the device by rebuilding each partition
+     * from its full payload (payload.bin). Logical partitions are flashed in
+     * fastbootd, as with factory images. Delta payloads aren't supported.
+     *
+     * Compressed operations need decompressors in the options, as browsers
+     * can't decompress bzip2, xz, or zstd. Most full OTAs use xz or zstd.
+     * The payload is checked before anything is flashed, and a PayloadError
+     * lists the missing decompressors and the operations that need them.
+     *
+     * @param {Blob} blob - Blob containing the OTA zip file to flash.
+     * @param {boolean} wipe - Whether to wipe userdata. Equivalent to `fastboot -w`.
+     * @param {ReconnectCallback} onReconnect - Callback to request device reconnection.
+     * @param {FactoryProgressCallback} onProgress - Progress callback for image flashing.
+     * @param {OtaFlashOptions} options - Additional flashing options, e.g. decompressors for the payload.
+     * @throws {PayloadError} If the payload is invalid, unsupported, needs missing decompressors, or fails verification.
+     * @throws {AbortError} If aborted, with the partitions that were fully written.
+     */
+    async flashOtaZip(
+        blob: Blob,
+        wipe: boolean,
+        onReconnect: ReconnectCallback,
+        onProgress: FactoryProgressCallback = (_progress) => {},
+        options: OtaFlashOptions = {}
+    ) {
+        return await flashOtaZip(
+            this,
+            blob,
+            wipe,
+            onReconnect,
+            this._trackStages(onProgress),
+            options
+        );
     }
 }
@@ -1,8 +1,71 @@
 // @license magnet:?xt=urn:btih:d3d9a9a6595521f9666a5e94cc830dab83b65699&dn=expat.txt MIT
 
 export { FastbootDevice, FastbootError, UsbError } from "./fastboot";
+export { UsbTransport } from "./transport";
+export type { FastbootTransport, UsbTransportOptions } from "./transport";
+export { FastbootDeviceManager } from "./manager";
+export type { DeviceOperationResult } from "./manager";
+export { VirtualBootloader, VirtualTransport } from "./virtual";
 export { USER_ACTION_MAP } from "./factory";
-export { setDebugLevel, TimeoutError } from "./common";
+export { parseAllVariables, parseDeviceInfo } from "./info";
+export type { DeviceInfo, PartitionInfo, SlotInfo } from "./info";
+export type { SlotState } from "./slots";
+export { ImageError, ImageErrorReason } from "./sparse";
+export * as Sparse from "./sparse";
+export {
+    BootImageError,
+    VendorRamdiskType,
+    parseBootImage,
+    createBootImage,
+    parseVendorBootImage,
+    createVendorBootImage,
+} from "./bootimg";
+export type { BootImage, VendorBootImage, VendorRamdisk } from "./bootimg";
+export {
+    VbmetaError,
+    VbmetaFlags,
+    parseVbmeta,
+    setVbmetaFlags,
+} from "./vbmeta";
+export type {
+    VbmetaImage,
+    VbmetaDescriptor,
+    PropertyDescriptor,
+    HashtreeDescriptor,
+    HashDescriptor,
+    KernelCmdlineDescriptor,
+    ChainPartitionDescriptor,
+    UnknownDescriptor,
+} from "./vbmeta";
+export {
+    PayloadError,
+    PayloadOperationType,
+    parsePayload,
+    extractPayloadPartition,
+} from "./payload";
+export type {
+    Payload,
+    PayloadPartition,
+    PayloadPartitionGroup,
+    PayloadOperation,
+    PayloadExtent,
+    PayloadDecompressor,
+    PayloadDecompressors,
+} from "./payload";
+export type { OtaFlashOptions } from "./factory";
+export type {
+    FastbootEvent,
+    FastbootEventListener,
+    CommandEvent,
+    ResponseEvent,
+    DataEvent,
+    ReconnectEvent,
+    StageEvent,
+    CommandOptions,
+} from "./events";
+export { SessionRecorder, ReplayTransport, ReplayError } from "./transcript";
+export type { SessionTranscript, TranscriptEntry } from "./transcript";
+export { setDebugLevel, TimeoutError, AbortError } from "./common";
 
 export { configure as configureZip } from "@zip.js/zip.js";
 
@@ -0,0 +1,381 @@
+import * as common from "./common";
+import { FastbootDevice, FastbootError } from "./fastboot";
+
+// Variables queried one by one on bootloaders that don't support getvar:all
+const SCALAR_VARIABLES = [
+    "version",
+    "version-bootloader",
+    "version-baseband",
+    "version-os",
+    "version-vndk",
+    "product",
+    "variant",
+    "serialno",
+    "hw-revision",
+    "secure",
+    "unlocked",
+    "is-userspace",
+    "off-mode-charge",
+    "battery-voltage",
+    "battery-soc-ok",
+    "max-download-size",
+    "max-fetch-size",
+    "current-slot",
+    "slot-count",
+    "super-partition-name",
+    "snapshot-update-status",
+];
+
+const SLOT_VARIABLES = [
+    "slot-successful",
+    "slot-unbootable",
+    "slot-retry-count",
+];
+
+const PARTITION_VARIABLES = ["partition-size", "partition-type", "is-logical"];
+
+// Partitions probed when getvar:all is unavailable, as there is no other way
+// to list them
+const DEFAULT_PROBE_PARTITIONS = [
+    "boot",
+    "init_boot",
+    "vendor_boot",
+    "vendor_kernel_boot",
+    "dtbo",
+    "recovery",
+    "vbmeta",
+    "vbmeta_system",
+    "vbmeta_vendor",
+    "bootloader",
+    "radio",
+    "super",
+    "system",
+    "system_ext",
+    "product",
+    "vendor",
+    "odm",
+    "userdata",
+    "metadata",
+    "misc",
+    "persist",
+];
+
+/**
+ * Information about a partition, as reported by the bootloader. Fields that
+ * the bootloader didn't report are null.
+ *
+ * @typedef {Object} PartitionInfo
+ * @property {number} size - Size of the partition in bytes.
+ * @property {string} type - Filesystem or partition type, e.g. raw or ext4.
+ * @property {boolean} hasSlot - Whether the partition has A/B slots. Reported for names without a slot suffix.
+ * @property {boolean} isLogical - Whether the partition is a logical partition in super.
+ */
+export interface PartitionInfo {
+    size: number | null;
+    type: string | null;
+    hasSlot: boolean | null;
+    isLogical: boolean | null;
+}
+
+/**
+ * State of an A/B slot, as reported by the bootloader. Fields that the
+ * bootloader didn't report are null.
+ *
+ * @typedef {Object} SlotInfo
+ * @property {boolean} successful - Whether the slot has booted successfully.
+ * @property {boolean} unbootable - Whether the slot has been marked as unbootable.
+ * @property {number} retryCount - Remaining boot attempts before the slot is marked unbootable.
+ */
+export interface SlotInfo {
+    successful: boolean | null;
+    unbootable: boolean | null;
+    retryCount: number | null;
+}
+
+/**
+ * Structured information about a device, parsed from its variables.
+ * Fields that the bootloader didn't report are null.
+ *
+ * @typedef {Object} DeviceInfo
+ * @property {Object} variables - All raw variables, keyed by name.
+ * @property {string} product - Product (board) name.
+ * @property {string} variant - Hardware variant.
+ * @property {string} serialNumber - Serial number.
+ * @property {boolean} secure - Whether the device enforces signed images.
+ * @property {boolean} unlocked - Whether the bootloader is unlocked.
+ * @property {boolean} isUserspace - Whether the device is in fastbootd rather than the bootloader.
+ * @property {string} currentSlot - Active slot, without underscore.
+ * @property {number} slotCount - Number of slots, 0 for non-A/B devices.
+ * @property {Object} slots - State of each slot, keyed by slot name.
+ * @property {Object} partitions - Partition information, keyed by partition name as reported.
+ * @property {Object} battery - Battery voltage in millivolts and whether the charge is sufficient for flashing.
+ * @property {Object} versions - Versions of the protocol, bootloader, baseband, hardware, OS, and VNDK.
+ * @property {number} maxDownloadSize - Maximum download size in bytes.
+ * @property {number} maxFetchSize - Maximum fetch size in bytes.
+ * @property {string} superPartitionName - Name of the super partition.
+ * @property {string} snapshotUpdateStatus - Status of Virtual A/B snapshot updates.
+ */
+export interface DeviceInfo {
+    variables: { [name: string]: string };
+    product: string | null;
+    variant: string | null;
+    serialNumber: string | null;
+    secure: boolean | null;
+    unlocked: boolean | null;
+    isUserspace: boolean;
+    currentSlot: string | null;
+    slotCount: number;
+    slots: { [slot: string]: SlotInfo };
+    partitions: { [name: string]: PartitionInfo };
+    battery: {
+        voltage: number | null;
+        socOk: boolean | null;
+    };
+    versions: {
+        protocol: string | null;
+        bootloader: string | null;
+        baseband: string | null;
+        hardware: string | null;
+        os: string | null;
+        vndk: string | null;
+    };
+    maxDownloadSize: number | null;
+    maxFetchSize: number | null;
+    superPartitionName: string | null;
+    snapshotUpdateStatus: string | null;
+}
+
+/**
+ * Parse the INFO output of `getvar:all` into variables. Bootloaders format
+ * lines as either `name:value` or `name: value`, where the name may itself
+ * contain colons, e.g. `partition-size:boot_a: 0x4000000`. Names don't
+ * contain spaces, so `name: value` lines are split at the first `: ` to keep
+ * colons in values, e.g. `version-baseband: g5300q: 1.0`.
+ *
+ * @param {string} text - Response text of the command.
+ * @returns {Object} Variables keyed by name.
+ */
+export function parseAllVariables(text: string) {
+    let variables: { [name: string]: string } = {};
+    for (let line of text.replace(/\r/g, "").split("\n")) {
+        line = line.trim();
+        let sep = line.indexOf(": ");
+        let valueStart = sep + 2;
+        if (sep === -1) {
+            sep = line.lastIndexOf(":");
+            valueStart = sep + 1;
+        }
+        if (sep <= 0) {
+            continue;
+        }
+
+        variables[line.substring(0, sep).trim()] = line
+            .substring(valueStart)
+            .trim();
+    }
+
+    return variables;
+}
+
+function parseBool(value: string | undefined) {
+    if (value === undefined) {
+        return null;
+    }
+
+    return value === "yes" || value === "true" || value === "1";
+}
+
+// Sizes are always hex, with or without a 0x prefix
+function parseHex(value: string | undefined) {
+    if (value === undefined) {
+        return null;
+    }
+
+    let num = parseInt(value, 16);
+    return isNaN(num) ? null : num;
+}
+
+function parseDecimal(value: string | undefined) {
+    if (value === undefined) {
+        return null;
+    }
+
+    let num = parseInt(value, 10);
+    return isNaN(num) ? null : num;
+}
+
+function getPartition(info: DeviceInfo, name: string) {
+    if (!(name in info.partitions)) {
+        info.partitions[name] = {
+            size: null,
+            type: null,
+            hasSlot: null,
+            isLogical: null,
+        };
+    }
+
+    return info.partitions[name];
+}
+
+function getSlot(info: DeviceInfo, slot: string) {
+    if (!(slot in info.slots)) {
+        info.slots[slot] = {
+            successful: null,
+            unbootable: null,
+            retryCount: null,
+        };
+    }
+
+    return info.slots[slot];
+}
+
+/**
+ * Convert raw variables into a structured {@link DeviceInfo} object.
+ *
+ * @param {Object} variables - Variables keyed by name.
+ * @returns {DeviceInfo} Structured device information.
+ */
+export function parseDeviceInfo(variables: {
+    [name: string]: string;
+}): DeviceInfo {
+    let info: DeviceInfo = {
+        variables: variables,
+        product: variables["product"] ?? null,
+        variant: variables["variant"] ?? null,
+        serialNumber: variables["serialno"] ?? null,
+        secure: parseBool(variables["secure"]),
+        unlocked: parseBool(variables["unlocked"]),
+        isUserspace: parseBool(variables["is-userspace"]) ?? false,
+        currentSlot: variables["current-slot"]?.replace(/^_/, "") || null,
+        slotCount: parseDecimal(variables["slot-count"]) ?? 0,
+        slots: {},
+        partitions: {},
+        battery: {
+            voltage: parseDecimal(variables["battery-voltage"]),
+            socOk: parseBool(variables["battery-soc-ok"]),
+        },
+        versions: {
+            protocol: variables["version"] ?? null,
+            bootloader: variables["version-bootloader"] ?? null,
+            baseband: variables["version-baseband"] ?? null,
+            hardware: variables["hw-revision"] ?? null,
+            os: variables["version-os"] ?? null,
+            vndk: variables["version-vndk"] ?? null,
+        },
+        maxDownloadSize: parseHex(variables["max-download-size"]),
+        maxFetchSize: parseHex(variables["max-fetch-size"]),
+        superPartitionName: variables["super-partition-name"] ?? null,
+        snapshotUpdateStatus: variables["snapshot-update-status"] ?? null,
+    };
+
+    for (let [name, value] of Object.entries(variables)) {
+        let match = name.match(/^([a-z-]+):(.+)$/);
+        if (!match) {
+            continue;
+        }
+
+        let [, variable, arg] = match;
+        switch (variable) {
+            case "partition-size":
+                getPartition(info, arg).size = parseHex(value);
+                break;
+            case "partition-type":
+                getPartition(info, arg).type = value;
+                break;
+            case "has-slot":
+                getPartition(info, arg).hasSlot = parseBool(value);
+                break;
+            case "is-logical":
+                getPartition(info, arg).isLogical = parseBool(value);
+                break;
+            case "slot-successful":
+                getSlot(info, arg).successful = parseBool(value);
+                break;
+            case "slot-unbootable":
+                getSlot(info, arg).unbootable = parseBool(value);
+                break;
+            case "slot-retry-count":
+                getSlot(info, arg).retryCount = parseDecimal(value);
+                break;
+        }
+    }
+
+    return info;
+}
+
+/**
+ * Query variables one by one, for bootloaders that don't support getvar:all.
+ *
+ * @private
+ */
+async function queryVariables(
+    device: FastbootDevice,
+    partitions: Array<string>
+) {
+    let variables: { [name: string]: string } = {};
+    let query = async (name: string) => {
+        let value = await device.getVariable(name);
+        if (value !== null && value !== "") {
+            variables[name] = value;
+        }
+        return value;
+    };
+
+    for (let name of SCALAR_VARIABLES) {
+        await query(name);
+    }
+
+    let slotCount = parseDecimal(variables["slot-count"]) ?? 0;
+    let slots = [];
+    for (let i = 0; i < slotCount; i++) {
+        let slot = String.fromCharCode("a".charCodeAt(0) + i);
+        slots.push(slot);
+        for (let name of SLOT_VARIABLES) {
+            await query(`${name}:${slot}`);
+        }
+    }
+
+    for (let partition of partitions) {
+        let hasSlot = await query(`has-slot:${partition}`);
+        let names =
+            hasSlot === "yes"
+                ? slots.map((slot) => `${partition}_${slot}`)
+                : [partition];
+        for (let name of names) {
+            for (let variable of PARTITION_VARIABLES) {
+                await query(`${variable}:${name}`);
+            }
+        }
+    }
+
+    return variables;
+}
+
+/**
+ * Get all variables from the device. This uses getvar:all, falling back to
+ * individual queries on bootloaders that don't support it.
+ *
+ * @param {FastbootDevice} device - Device to query.
+ * @param {string[]} probePartitions - Partitions to query in the fallback, which can't list partitions.
+ * @returns {Promise<Object>} Variables keyed by name.
+ * @throws {FastbootError}
+ */
+export async function getAllVariables(
+    device: FastbootDevice,
+    probePartitions: Array<string> = DEFAULT_PROBE_PARTITIONS
+) {
+    try {
+        let resp = await device.runCommand("getvar:all");
+        let variables = parseAllVariables(resp.text);
+        if (Object.keys(variables).length > 0) {
+            return variables;
+        }
+    } catch (error) {
+        if (!(error instanceof FastbootError && error.status === "FAIL")) {
+            throw error;
+        }
+    }
+
+    common.logDebug("getvar:all unsupported, querying variables individually");
+    return await queryVariables(device, probePartitions);
+}
@@ -0,0 +1,190 @@
+import * as common from "./common";
+import { FastbootDevice, FastbootError } from "./fastboot";
+import {
+    isFastbootDevice,
+    requestFastbootDevice,
+    UsbTransport,
+} from "./transport";
+
+/**
+ * Result of an operation run on one of several devices.
+ *
+ * @typedef {Object} DeviceOperationResult
+ * @property {string} serialNumber - Serial number of the device.
+ * @property {FastbootDevice} device - The device the operation ran on.
+ * @property {string} status - Either `fulfilled` or `rejected`, like Promise.allSettled.
+ * @property {any} value - Value returned by the operation, if it succeeded.
+ * @property {any} reason - Error thrown by the operation, if it failed.
+ */
+export interface DeviceOperationResult<T> {
+    serialNumber: string;
+    device: FastbootDevice;
+    status: "fulfilled" | "rejected";
+    value?: T;
+    reason?: any;
+}
+
+/**
+ * Manager for working with several fastboot devices at once, e.g. to flash a
+ * rack of phones from one page. Devices are identified by their serial
+ * numbers, and each has its own transport that only reconnects to the same
+ * device after reboots.
+ *
+ * @example
+ *     let manager = new FastbootDeviceManager();
+ *     await manager.connectAll();
+ *     await manager.runAll((device) =>
+ *         device.flashFactoryZip(blob, true, onReconnect)
+ *     );
+ */
+export class FastbootDeviceManager {
+    devices: Map<string, FastbootDevice>;
+
+    /**
+     * Create a new device manager without any devices.
+     */
+    constructor() {
+        this.devices = new Map();
+    }
+
+    /**
+     * List the paired USB devices that are currently in fastboot mode.
+     *
+     * @returns {Promise<USBDevice[]>} Paired fastboot devices, including ones that aren't managed yet.
+     */
+    async getPairedDevices() {
+        let devices = await navigator.usb.getDevices();
+        return devices.filter(isFastbootDevice);
+    }
+
+    /**
+     * Get a managed device by serial number.
+     *
+     * @param {string} serialNumber - Serial number of the device.
+     * @returns {FastbootDevice | undefined} The device, if it's managed.
+     */
+    get(serialNumber: string) {
+        return this.devices.get(serialNumber);
+    }
+
+    /**
+     * Manage a connected device, e.g. one using a network transport.
+     *
+     * @param {FastbootDevice} device - Connected device to manage.
+     * @throws {FastbootError} If the device's serial number is unknown or already managed.
+     */
+    add(device: FastbootDevice) {
+        if (device.serialNumber === null) {
+            throw new FastbootError("FAIL", "Device has no serial number");
+        }
+        if (this.devices.get(device.serialNumber) !== undefined) {
+            throw new FastbootError(
+                "FAIL",
+                `Device ${device.serialNumber} is already managed`
+            );
+        }
+
+        this.devices.set(device.serialNumber, device);
+    }
+
+    /**
+     * Stop managing a device. This doesn't disconnect it.
+     *
+     * @param {string} serialNumber - Serial number of the device.
+     */
+    remove(serialNumber: string) {
+        this.devices.delete(serialNumber);
+    }
+
+    /**
+     * Connect to a paired USB device and manage it.
+     *
+     * @param {USBDevice | string} device - Paired USB device or its serial number. Prompts the user to select a device if omitted.
+     * @returns {Promise<FastbootDevice>} The connected device, which is the existing instance if the device is already managed.
+     * @throws {UsbError}
+     * @throws {FastbootError} If the device has no serial number.
+     */
+    async connect(device?: USBDevice | string) {
+        // Prompt before connecting, so that selecting a managed device doesn't
+        // leave a second connection to it behind
+        if (device === undefined) {
+            device = await requestFastbootDevice();
+        }
+
+        // Reuse the existing instance if the device is already managed
+        let serialNumber =
+            typeof device === "string" ? device : device.serialNumber;
+        if (!serialNumber) {
+            throw new FastbootError("FAIL", "Device has no serial number");
+        }
+        let existing = this.devices.get(serialNumber);
+        if (existing !== undefined) {
+            return existing;
+        }
+
+        let transport =
+            typeof device === "string"
+                ? new UsbTransport({ serialNumber: device })
+                : new UsbTransport({ device: device });
+        let fastbootDevice = new FastbootDevice(transport);
+        await fastbootDevice.connect();
+        this.add(fastbootDevice);
+        return fastbootDevice;
+    }
+
+    /**
+     * Connect to all paired USB devices in fastboot mode that aren't managed
+     * yet. Devices without serial numbers can't be told apart after
+     * reconnecting, so they're skipped.
+     *
+     * @returns {Promise<FastbootDevice[]>} All managed devices.
+     */
+    async connectAll() {
+        for (let usbDevice of await this.getPairedDevices()) {
+            if (!usbDevice.serialNumber) {
+                common.logDebug("Skipping USB device without serial number");
+                continue;
+            }
+
+            if (!this.devices.has(usbDevice.serialNumber)) {
+                await this.connect(usbDevice);
+            }
+        }
+
+        return Array.from(this.devices.values());
+    }
+
+    /**
+     * Run an operation on several devices in parallel, e.g. flashing. A
+     * failure on one device doesn't stop the others.
+     *
+     * @param {Function} operation - Called with each device, returning a promise.
+     * @param {string[]} serialNumbers - Serial numbers of the devices to use. Defaults to all managed devices.
+     * @returns {Promise<DeviceOperationResult[]>} Result of the operation on each device.
+     * @throws {FastbootError} If a device isn't managed.
+     */
+    async runAll<T>(
+        operation: (device: FastbootDevice) => Promise<T>,
+        serialNumbers: Array<string> = Array.from(this.devices.keys())
+    ): Promise<Array<DeviceOperationResult<T>>> {
+        let devices = serialNumbers.map((serialNumber) => {
+            let device = this.devices.get(serialNumber);
+            if (device === undefined) {
+                throw new FastbootError(
+                    "FAIL",
+                    `Device ${serialNumber} isn't managed`
+                );
+            }
+            return device;
+        });
+
+        let results = await Promise.allSettled(
+            devices.map(async (device) => await operation(device))
+        );
+        return results.map((result, i) => ({
+            serialNumber: serialNumbers[i],
+            device: devices[i],
+            ...result,
+        }));
+    }
+}
@@ -0,0 +1,704 @@
+import * as common from "./common";
+import type { ReconnectCallback } from "./fastboot";
+import { FastbootTransport } from "./transport";
+
+const DEFAULT_PORT = 5554;
+
+// TCP handshake: "FB" followed by a 2-digit protocol version
+const TCP_HANDSHAKE = "FB01";
+const TCP_HEADER_SIZE = 8;
+
+// UDP packet IDs, flags, and limits from AOSP fastboot
+const UDP_HEADER_SIZE = 4;
+const UDP_ID_ERROR = 0x00;
+const UDP_ID_QUERY = 0x01;
+const UDP_ID_INIT = 0x02;
+const UDP_ID_FASTBOOT = 0x03;
+const UDP_FLAG_CONTINUATION = 0x01;
+const UDP_PROTOCOL_VERSION = 1;
+const UDP_MIN_PACKET_SIZE = 512;
+const UDP_HOST_MAX_PACKET_SIZE = 8192;
+const UDP_RECEIVE_TIMEOUT = 500; // ms
+const UDP_MAX_CONNECT_ATTEMPTS = 4;
+const UDP_MAX_TRANSMISSION_ATTEMPTS = 10;
+const UDP_POLL_INTERVAL = 50; // ms
+// Rebooting devices can keep answering for a while, so they're polled with
+// queries until they stop
+const UDP_DISCONNECT_POLL_INTERVAL = 200; // ms
+const UDP_DISCONNECT_ATTEMPTS = 2;
+
+const RECONNECT_INTERVAL = 1000; // ms
+// Rebooting into fastbootd can take a while on slow devices
+const DEFAULT_RECONNECT_TIMEOUT = 120000; // ms
+
+/**
+ * Exception class for errors in network transports, e.g. handshake failures
+ * and unexpected disconnections.
+ */
+export class NetworkError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = "NetworkError";
+    }
+}
+
+// Minimal subsets of the Node.js net and dgram APIs used here, to avoid
+// depending on Node.js type definitions.
+interface NetSocket {
+    on(event: string, listener: (...args: any[]) => void): void;
+    once(event: string, listener: (...args: any[]) => void): void;
+    removeListener(event: string, listener: (...args: any[]) => void): void;
+    write(data: Uint8Array, callback: (error?: Error) => void): void;
+    setNoDelay(noDelay: boolean): void;
+    destroy(): void;
+}
+
+interface DgramSocket {
+    on(event: string, listener: (...args: any[]) => void): void;
+    send(
+        data: Uint8Array,
+        port: number,
+        host: string,
+        callback: (error: Error | null) => void
+    ): void;
+    close(): void;
+}
+
+// Node.js modules are loaded at runtime so that browser bundles don't try to
+// resolve them.
+async function loadNodeModule(name: string): Promise<any> {
+    let module = await import(name);
+    return module.default ?? module;
+}
+
+function sleep(ms: number) {
+    return new Promise((resolve, _reject) => {
+        setTimeout(resolve, ms);
+    });
+}
+
+/**
+ * Keep trying to connect to a device until it succeeds or the transport's
+ * reconnection timeout expires.
+ *
+ * @private
+ */
+async function retryConnect(
+    transport: TcpTransport | UdpTransport,
+    startTime: number
+) {
+    let timeout = transport.reconnectTimeout;
+    while (true) {
+        try {
+            await transport.connect();
+            return;
+        } catch (error) {
+            common.logVerbose("Reconnection failed:", error);
+            if (Date.now() - startTime + RECONNECT_INTERVAL > timeout) {
+                throw new common.TimeoutError(timeout);
+            }
+            await sleep(RECONNECT_INTERVAL);
+        }
+    }
+}
+
+function concatBuffers(buffers: Array<Uint8Array>, length: number) {
+    let result = new Uint8Array(length);
+    let offset = 0;
+    for (let buffer of buffers) {
+        result.set(buffer, offset);
+        offset += buffer.byteLength;
+    }
+    return result;
+}
+
+/**
+ * Transport for fastboot over TCP, as supported by emulators, Cuttlefish, and
+ * some network-capable bootloaders. Equivalent to `fastboot -s tcp:host:port`.
+ * Requires Node.js or Electron.
+ */
+export class TcpTransport implements FastbootTransport {
+    host: string;
+    port: number;
+    /** Time to wait for reconnection after a reboot, in milliseconds. */
+    reconnectTimeout: number;
+
+    private _socket: NetSocket | null;
+    private _received: Array<Uint8Array>;
+    private _receivedBytes: number;
+    private _messageRemaining: number;
+    private _dataResolve: (() => void) | null;
+    private _closeResolvers: Array<() => void>;
+
+    /**
+     * Create a new TCP transport. This doesn't actually connect to the
+     * device; call {@link connect} to do so.
+     *
+     * @param {string} host - Hostname or IP address of the device.
+     * @param {number} port - TCP port of the fastboot server.
+     * @param {number} reconnectTimeout - Time to wait for the device to reconnect after a reboot, in milliseconds.
+     */
+    constructor(
+        host: string,
+        port: number = DEFAULT_PORT,
+        reconnectTimeout: number = DEFAULT_RECONNECT_TIMEOUT
+    ) {
+        this.host = host;
+        this.port = port;
+        this.reconnectTimeout = reconnectTimeout;
+
+        this._socket = null;
+        this._received = [];
+        this._receivedBytes = 0;
+        this._messageRemaining = 0;
+        this._dataResolve = null;
+        this._closeResolvers = [];
+    }
+
+    get isConnected() {
+        return this._socket !== null;
+    }
+
+    /**
+     * Connect to the device and perform the protocol handshake.
+     *
+     * @throws {NetworkError}
+     */
+    async connect() {
+        let net = await loadNodeModule("net");
+        let socket: NetSocket = await new Promise((resolve, reject) => {
+            let socket = net.createConnection(
+                { host: this.host, port: this.port },
+                () => {
+                    socket.removeListener("error", reject);
+                    resolve(socket);
+                }
+            );
+            socket.once("error", reject);
+        });
+        socket.setNoDelay(true);
+
+        this.close();
+        this._socket = socket;
+        this._received = [];
+        this._receivedBytes = 0;
+        this._messageRemaining = 0;
+
+        socket.on("data", (data: Uint8Array) => {
+            this._received.push(data);
+            this._receivedBytes += data.byteLength;
+            this._notifyData();
+        });
+        socket.on("error", (error: Error) => {
+            common.logDebug("TCP socket error:", error);
+        });
+        socket.on("close", () => {
+            if (this._socket === socket) {
+                common.logDebug("TCP device disconnected");
+                this._socket = null;
+                this._notifyData();
+                for (let resolve of this._closeResolvers) {
+                    resolve();
+                }
+                this._closeResolvers = [];
+            }
+        });
+
+        try {
+            await this._writeRaw(new TextEncoder().encode(TCP_HANDSHAKE));
+            let response = new TextDecoder().decode(await this._readExact(4));
+            let version = parseInt(response.substring(2), 10);
+            if (!response.startsWith("FB") || !(version >= 1)) {
+                throw new NetworkError(
+                    `Unrecognized handshake response: ${response}`
+                );
+            }
+        } catch (error) {
+            this.close();
+            throw error;
+        }
+
+        common.logDebug(`Connected to tcp:${this.host}:${this.port}`);
+    }
+
+    /**
+     * Close the connection to the device.
+     */
+    close() {
+        this._socket?.destroy();
+    }
+
+    async waitForDisconnect() {
+        if (this._socket === null) {
+            return;
+        }
+
+        return await new Promise<void>((resolve, _reject) => {
+            this._closeResolvers.push(resolve);
+        });
+    }
+
+    /**
+     * Wait for the device to close the connection (e.g. when rebooting) and
+     * reconnect once its fastboot server is reachable again.
+     *
+     * @param {ReconnectCallback} onReconnect - Unused, reconnection is automatic.
+     * @throws {TimeoutError} If the device doesn't reconnect within the reconnection timeout.
+     */
+    async waitForConnect(_onReconnect: ReconnectCallback = () => {}) {
+        let startTime = Date.now();
+        await common.runWithTimeout(
+            this.waitForDisconnect(),
+            this.reconnectTimeout
+        );
+        await retryConnect(this, startTime);
+    }
+
+    async write(data: ArrayBuffer) {
+        let message = new Uint8Array(TCP_HEADER_SIZE + data.byteLength);
+        new DataView(message.buffer).setBigUint64(
+            0,
+            BigInt(data.byteLength),
+            false
+        );
+        message.set(new Uint8Array(data), TCP_HEADER_SIZE);
+        await this._writeRaw(message);
+    }
+
+    async read(length: number) {
+        // Messages larger than the requested length are returned over
+        // multiple reads
+        if (this._messageRemaining === 0) {
+            let header = await this._readExact(TCP_HEADER_SIZE);
+            this._messageRemaining = Number(
+                new DataView(
+                    header.buffer,
+                    header.byteOffset,
+                    TCP_HEADER_SIZE
+                ).getBigUint64(0, false)
+            );
+        }
+
+        let readLength = Math.min(length, this._messageRemaining);
+        let data = await this._readExact(readLength);
+        this._messageRemaining -= readLength;
+        return data.slice().buffer;
+    }
+
+    private _notifyData() {
+        if (this._dataResolve !== null) {
+            this._dataResolve();
+            this._dataResolve = null;
+        }
+    }
+
+    private _writeRaw(data: Uint8Array) {
+        let socket = this._socket;
+        if (socket === null) {
+            return Promise.reject(new NetworkError("Device disconnected"));
+        }
+
+        return new Promise<void>((resolve, reject) => {
+            socket!.write(data, (error) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    private async _readExact(length: number) {
+        while (this._receivedBytes < length) {
+            if (this._socket === null) {
+                throw new NetworkError("Device disconnected");
+            }
+
+            await new Promise<void>((resolve, _reject) => {
+                this._dataResolve = resolve;
+            });
+        }
+
+        let data = concatBuffers(this._received, this._receivedBytes);
+        this._received = [data.subarray(length)];
+        this._receivedBytes -= length;
+        return data.subarray(0, length);
+    }
+}
+
+interface UdpPacket {
+    id: number;
+    flags: number;
+    seq: number;
+    data: Uint8Array;
+}
+
+/**
+ * Transport for fastboot over UDP, as supported by some network-booting
+ * bootloaders. Implements the AOSP UDP protocol, with sequence numbers and
+ * retransmission of lost packets. Equivalent to `fastboot -s udp:host:port`.
+ * Requires Node.js or Electron.
+ */
+export class UdpTransport implements FastbootTransport {
+    host: string;
+    port: number;
+    /** Time to wait for reconnection after a reboot, in milliseconds. */
+    reconnectTimeout: number;
+
+    private _socket: DgramSocket | null;
+    private _seq: number;
+    private _maxDataSize: number;
+    private _packets: Array<UdpPacket>;
+    private _packetResolve: (() => void) | null;
+    private _message: Uint8Array;
+
+    /**
+     * Create a new UDP transport. This doesn't actually connect to the
+     * device; call {@link connect} to do so.
+     *
+     * @param {string} host - Hostname or IP address of the device.
+     * @param {number} port - UDP port of the fastboot server.
+     * @param {number} reconnectTimeout - Time to wait for the device to reconnect after a reboot, in milliseconds.
+     */
+    constructor(
+        host: string,
+        port: number = DEFAULT_PORT,
+        reconnectTimeout: number = DEFAULT_RECONNECT_TIMEOUT
+    ) {
+        this.host = host;
+        this.port = port;
+        this.reconnectTimeout = reconnectTimeout;
+
+        this._socket = null;
+        this._seq = 0;
+        this._maxDataSize = UDP_MIN_PACKET_SIZE - UDP_HEADER_SIZE;
+        this._packets = [];
+        this._packetResolve = null;
+        this._message = new Uint8Array(0);
+    }
+
+    get isConnected() {
+        return this._socket !== null;
+    }
+
+    /**
+     * Open a socket and perform the query and initialization handshake.
+     *
+     * @throws {NetworkError}
+     */
+    async connect() {
+        let dgram = await loadNodeModule("dgram");
+        let socket: DgramSocket = dgram.createSocket(
+            this.host.includes(":") ? "udp6" : "udp4"
+        );
+        socket.on("message", (data: Uint8Array) => {
+            if (data.byteLength < UDP_HEADER_SIZE) {
+                return;
+            }
+
+            this._packets.push({
+                id: data[0],
+                flags: data[1],
+                seq: (data[2] << 8) | data[3],
+                data: data.subarray(UDP_HEADER_SIZE),
+            });
+            if (this._packetResolve !== null) {
+                this._packetResolve();
+                this._packetResolve = null;
+            }
+        });
+        socket.on("error", (error: Error) => {
+            common.logDebug("UDP socket error:", error);
+        });
+
+        this.close();
+        this._socket = socket;
+        this._packets = [];
+        this._message = new Uint8Array(0);
+
+        try {
+            // The query response tells us which sequence number to start at
+            this._seq = 0;
+            let query = await this._transact(
+                UDP_ID_QUERY,
+                0,
+                new Uint8Array(0),
+                UDP_MAX_CONNECT_ATTEMPTS
+            );
+            if (query.data.byteLength < 2) {
+                throw new NetworkError("Invalid query response");
+            }
+            this._seq = (query.data[0] << 8) | query.data[1];
+
+            let init = new Uint8Array(4);
+            let initView = new DataView(init.buffer);
+            initView.setUint16(0, UDP_PROTOCOL_VERSION, false);
+            initView.setUint16(2, UDP_HOST_MAX_PACKET_SIZE, false);
+            let initResp = await this._transact(
+                UDP_ID_INIT,
+                0,
+                init,
+                UDP_MAX_CONNECT_ATTEMPTS
+            );
+            if (initResp.data.byteLength < 4) {
+                throw new NetworkError("Invalid initialization response");
+            }
+
+            let respView = new DataView(
+                initResp.data.buffer,
+                initResp.data.byteOffset,
+                4
+            );
+            let version = respView.getUint16(0, false);
+            let packetSize = Math.min(
+                respView.getUint16(2, false),
+                UDP_HOST_MAX_PACKET_SIZE
+            );
+            if (version < UDP_PROTOCOL_VERSION) {
+                throw new NetworkError(
+                    `Unsupported protocol version ${version}`
+                );
+            }
+            if (packetSize < UDP_MIN_PACKET_SIZE) {
+                throw new NetworkError(`Packet size ${packetSize} too small`);
+            }
+            this._maxDataSize = packetSize - UDP_HEADER_SIZE;
+        } catch (error) {
+            this.close();
+            throw error;
+        }
+
+        common.logDebug(
+            `Connected to udp:${this.host}:${this.port}, max packet data size = ${this._maxDataSize}`
+        );
+    }
+
+    /**
+     * Close the socket.
+     */
+    close() {
+        if (this._socket !== null) {
+            this._socket.close();
+            this._socket = null;
+        }
+    }
+
+    /**
+     * Wait for the device to stop responding, e.g. while it reboots, and
+     * close the socket. UDP is connectionless, so the device is polled with
+     * query packets until it misses them.
+     *
+     * @throws {TimeoutError} If the device keeps responding for the whole reconnection timeout.
+     */
+    async waitForDisconnect() {
+        await this._waitForSilence(Date.now());
+    }
+
+    /**
+     * Wait for the device to stop responding and for its fastboot server to
+     * respond to the handshake again, e.g. after a reboot. Reconnecting
+     * before the device stops responding would join the session that it's
+     * about to drop.
+     *
+     * @param {ReconnectCallback} onReconnect - Unused, reconnection is automatic.
+     * @throws {TimeoutError} If the device doesn't reconnect within the reconnection timeout.
+     */
+    async waitForConnect(_onReconnect: ReconnectCallback = () => {}) {
+        let startTime = Date.now();
+        await this._waitForSilence(startTime);
+        await retryConnect(this, startTime);
+    }
+
+    private async _waitForSilence(startTime: number) {
+        try {
+            while (this._socket !== null) {
+                try {
+                    await this._transact(
+                        UDP_ID_QUERY,
+                        0,
+                        new Uint8Array(0),
+                        UDP_DISCONNECT_ATTEMPTS
+                    );
+                } catch (error) {
+                    if (error instanceof NetworkError) {
+                        common.logDebug("UDP device stopped responding");
+                        return;
+                    }
+                    throw error;
+                }
+
+                if (Date.now() - startTime > this.reconnectTimeout) {
+                    throw new common.TimeoutError(this.reconnectTimeout);
+                }
+                await sleep(UDP_DISCONNECT_POLL_INTERVAL);
+            }
+        } finally {
+            this.close();
+        }
+    }
+
+    async write(data: ArrayBuffer) {
+        let bytes = new Uint8Array(data);
+        let offset = 0;
+        do {
+            let length = Math.min(bytes.byteLength - offset, this._maxDataSize);
+            let last = offset + length === bytes.byteLength;
+            await this._transact(
+                UDP_ID_FASTBOOT,
+                last ? 0 : UDP_FLAG_CONTINUATION,
+                bytes.subarray(offset, offset + length),
+                UDP_MAX_TRANSMISSION_ATTEMPTS
+            );
+            offset += length;
+        } while (offset < bytes.byteLength);
+    }
+
+    /**
+     * Read a message from the device, polling it until it has one.
+     *
+     * @throws {NetworkError} If the device stops responding.
+     */
+    async read(length: number) {
+        // Messages larger than the requested length are returned over
+        // multiple reads
+        while (this._message.byteLength === 0) {
+            let parts = [];
+            let size = 0;
+            let packet;
+            do {
+                // Empty packets ask the device for data. It acks them with
+                // empty packets while a command is still running, so keep
+                // polling. Like AOSP, each poll is only retransmitted a few
+                // times, so an unresponsive device fails instead of hanging.
+                packet = await this._transact(
+                    UDP_ID_FASTBOOT,
+                    0,
+                    new Uint8Array(0),
+                    UDP_MAX_TRANSMISSION_ATTEMPTS
+                );
+                parts.push(packet.data);
+                size += packet.data.byteLength;
+            } while (packet.flags & UDP_FLAG_CONTINUATION);
+
+            if (size === 0) {
+                await sleep(UDP_POLL_INTERVAL);
+            }
+            this._message = concatBuffers(parts, size);
+        }
+
+        let data = this._message.slice(0, length);
+        this._message = this._message.subarray(data.byteLength);
+        return data.buffer;
+    }
+
+    private _receive(timeout: number): Promise<UdpPacket | null> {
+        if (this._packets.length > 0) {
+            return Promise.resolve(this._packets.shift()!);
+        }
+
+        return new Promise((resolve, _reject) => {
+            let tid = setTimeout(() => {
+                this._packetResolve = null;
+                resolve(null);
+            }, timeout);
+            this._packetResolve = () => {
+                clearTimeout(tid);
+                resolve(this._packets.shift()!);
+            };
+        });
+    }
+
+    private async _transact(
+        id: number,
+        flags: number,
+        data: Uint8Array,
+        attempts: number
+    ) {
+        let packet = new Uint8Array(UDP_HEADER_SIZE + data.byteLength);
+        packet[0] = id;
+        packet[1] = flags;
+        packet[2] = (this._seq >> 8) & 0xff;
+        packet[3] = this._seq & 0xff;
+        packet.set(data, UDP_HEADER_SIZE);
+
+        for (let attempt = 0; attempt < attempts; attempt++) {
+            await this._send(packet);
+
+            let deadline = Date.now() + UDP_RECEIVE_TIMEOUT;
+            let remaining;
+            while ((remaining = deadline - Date.now()) > 0) {
+                let response = await this._receive(remaining);
+                if (response === null) {
+                    break;
+                }
+
+                // Ignore duplicate responses to retransmitted packets
+                if (response.seq !== this._seq) {
+                    continue;
+                }
+
+                if (response.id === UDP_ID_ERROR) {
+                    throw new NetworkError(
+                        `Device reported error: ${new TextDecoder().decode(
+                            response.data
+                        )}`
+                    );
+                } else if (response.id !== id) {
+                    throw new NetworkError(
+                        `Unexpected packet ID ${response.id} in response to ${id}`
+                    );
+                }
+
+                this._seq = (this._seq + 1) & 0xffff;
+                return response;
+            }
+
+            common.logVerbose(
+                `UDP packet ${this._seq} timed out, attempt ${attempt + 1}`
+            );
+        }
+
+        throw new NetworkError(`No response after ${attempts} attempts`);
+    }
+
+    private _send(packet: Uint8Array) {
+        let socket = this._socket;
+        if (socket === null) {
+            return Promise.reject(new NetworkError("Socket is closed"));
+        }
+
+        return new Promise<void>((resolve, reject) => {
+            socket!.send(packet, this.port, this.host, (error) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+}
+
+/**
+ * Create a network transport from an AOSP fastboot-style address, e.g.
+ * `tcp:192.168.1.2` or `udp:[fe80::1]:5554`. The port defaults to 5554.
+ *
+ * @param {string} address - Address of the device.
+ * @returns {FastbootTransport} The new transport, not yet connected.
+ * @throws {NetworkError}
+ */
+export function createNetworkTransport(address: string) {
+    let match = address.match(
+        /^(tcp|udp):(?:\[([^\]]+)\]|([^:]+))(?::(\d+))?$/
+    );
+    if (!match) {
+        throw new NetworkError(`Invalid network address: ${address}`);
+    }
+
+    let host = match[2] ?? match[3];
+    let port = match[4] !== undefined ? parseInt(match[4], 10) : DEFAULT_PORT;
+    return match[1] === "tcp"
+        ? new TcpTransport(host, port)
+        : new UdpTransport(host, port);
+}
@@ -0,0 +1,13 @@
+// @license magnet:?xt=urn:btih:d3d9a9a6595521f9666a5e94cc830dab83b65699&dn=expat.txt MIT
+
+// Entry point for Node.js and Electron. The network transports use Node.js
+// modules, so they're kept out of the browser bundle.
+export * from "./index";
+export {
+    TcpTransport,
+    UdpTransport,
+    NetworkError,
+    createNetworkTransport,
+} from "./network";
+
+// @license-end
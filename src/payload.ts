@@ -0,0 +1,717 @@
+import * as common from "./common";
+import * as Sparse from "./sparse";
+import { Sha256 } from "./sha256";
+
+const PAYLOAD_MAGIC = "CrAU";
+// Only major version 2 (brillo) payloads are used by Android
+const PAYLOAD_VERSION = 2;
+const PAYLOAD_HEADER_SIZE = 24;
+
+const DEFAULT_BLOCK_SIZE = 4096;
+
+// Field numbers in update_metadata.proto
+const MANIFEST_BLOCK_SIZE = 3;
+const MANIFEST_MINOR_VERSION = 12;
+const MANIFEST_PARTITIONS = 13;
+const MANIFEST_DYNAMIC_PARTITION_METADATA = 15;
+const MANIFEST_PARTIAL_UPDATE = 16;
+const PARTITION_NAME = 1;
+const PARTITION_NEW_INFO = 7;
+const PARTITION_OPERATIONS = 8;
+const PARTITION_INFO_SIZE = 1;
+const PARTITION_INFO_HASH = 2;
+const OPERATION_TYPE = 1;
+const OPERATION_DATA_OFFSET = 2;
+const OPERATION_DATA_LENGTH = 3;
+const OPERATION_DST_EXTENTS = 6;
+const OPERATION_DATA_SHA256 = 8;
+const EXTENT_START_BLOCK = 1;
+const EXTENT_NUM_BLOCKS = 2;
+const DYNAMIC_METADATA_GROUPS = 1;
+const GROUP_NAME = 1;
+const GROUP_SIZE = 2;
+const GROUP_PARTITION_NAMES = 3;
+
+// Protobuf wire types
+const WIRE_VARINT = 0;
+const WIRE_FIXED64 = 1;
+const WIRE_LENGTH_DELIMITED = 2;
+const WIRE_FIXED32 = 5;
+
+/**
+ * Types of install operations in a payload. Only the operations of full
+ * payloads are supported, as the others modify the existing partitions.
+ *
+ * @enum {number}
+ */
+export enum PayloadOperationType {
+    Replace = 0,
+    ReplaceBz = 1,
+    Move = 2,
+    Bsdiff = 3,
+    SourceCopy = 4,
+    SourceBsdiff = 5,
+    Zero = 6,
+    Discard = 7,
+    ReplaceXz = 8,
+    Puffdiff = 9,
+    BrotliBsdiff = 10,
+    Zucchini = 11,
+    Lz4diffBsdiff = 12,
+    Lz4diffPuffdiff = 13,
+    Zstd = 14,
+}
+
+/**
+ * Exception class for invalid or unsupported payloads.
+ */
+export class PayloadError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = "PayloadError";
+    }
+}
+
+/**
+ * Range of blocks written by an install operation.
+ *
+ * @typedef {Object} PayloadExtent
+ * @property {number} startBlock - First block of the range.
+ * @property {number} numBlocks - Number of blocks in the range.
+ */
+export interface PayloadExtent {
+    startBlock: number;
+    numBlocks: number;
+}
+
+/**
+ * Install operation that writes part of a partition.
+ *
+ * @typedef {Object} PayloadOperation
+ * @property {PayloadOperationType} type - Type of the operation.
+ * @property {number} dataOffset - Offset of the operation's data, relative to the start of the payload's data.
+ * @property {number} dataLength - Size of the operation's data in bytes.
+ * @property {PayloadExtent[]} dstExtents - Blocks written by the operation, in order.
+ * @property {Uint8Array} dataSha256 - SHA-256 hash of the operation's data, if any.
+ */
+export interface PayloadOperation {
+    type: PayloadOperationType;
+    dataOffset: number;
+    dataLength: number;
+    dstExtents: Array<PayloadExtent>;
+    dataSha256: Uint8Array | null;
+}
+
+/**
+ * Partition updated by a payload.
+ *
+ * @typedef {Object} PayloadPartition
+ * @property {string} name - Name of the partition, without slot suffix.
+ * @property {number} size - Size of the new partition image in bytes.
+ * @property {Uint8Array} hash - SHA-256 hash of the new partition image, if any.
+ * @property {PayloadOperation[]} operations - Operations that write the new partition image.
+ */
+export interface PayloadPartition {
+    name: string;
+    size: number;
+    hash: Uint8Array | null;
+    operations: Array<PayloadOperation>;
+}
+
+/**
+ * Group of logical partitions in super.
+ *
+ * @typedef {Object} PayloadPartitionGroup
+ * @property {string} name - Name of the group.
+ * @property {number} size - Maximum size of the group in bytes.
+ * @property {string[]} partitionNames - Names of the logical partitions in the group, without slot suffix.
+ */
+export interface PayloadPartitionGroup {
+    name: string;
+    size: number;
+    partitionNames: Array<string>;
+}
+
+/**
+ * Parsed header and manifest of an A/B OTA payload (payload.bin).
+ *
+ * @typedef {Object} Payload
+ * @property {number} version - Major version of the payload format.
+ * @property {number} minorVersion - Minor version of the payload format, 0 for full payloads.
+ * @property {number} blockSize - Block size in bytes.
+ * @property {number} dataOffset - Offset of the operations' data in the payload.
+ * @property {boolean} partialUpdate - Whether the payload only updates some partitions.
+ * @property {PayloadPartition[]} partitions - Partitions updated by the payload.
+ * @property {PayloadPartitionGroup[]} groups - Groups of logical partitions, empty if the device doesn't use them.
+ */
+export interface Payload {
+    version: number;
+    minorVersion: number;
+    blockSize: number;
+    dataOffset: number;
+    partialUpdate: boolean;
+    partitions: Array<PayloadPartition>;
+    groups: Array<PayloadPartitionGroup>;
+}
+
+/**
+ * Callback to decompress the data of an install operation.
+ *
+ * @callback PayloadDecompressor
+ * @param {Uint8Array} data - Compressed data.
+ * @returns {Promise<Uint8Array>} Decompressed data.
+ */
+export type PayloadDecompressor = (data: Uint8Array) => Promise<Uint8Array>;
+
+/**
+ * Decompressors for compressed install operations. Browsers don't support
+ * these formats natively, so they need to be provided, e.g. by a WebAssembly
+ * or JavaScript library. Full OTAs usually compress most of their data with
+ * xz, or zstd in newer releases, so only payloads without compression can be
+ * extracted without them.
+ *
+ * @typedef {Object} PayloadDecompressors
+ * @property {PayloadDecompressor} bzip2 - Decompressor for REPLACE_BZ operations.
+ * @property {PayloadDecompressor} xz - Decompressor for REPLACE_XZ operations.
+ * @property {PayloadDecompressor} zstd - Decompressor for ZSTD operations.
+ */
+export interface PayloadDecompressors {
+    bzip2?: PayloadDecompressor;
+    xz?: PayloadDecompressor;
+    zstd?: PayloadDecompressor;
+}
+
+// Decompressors needed by compressed operations
+const DECOMPRESSOR_FORMATS: {
+    [type: number]: keyof PayloadDecompressors;
+} = {
+    [PayloadOperationType.ReplaceBz]: "bzip2",
+    [PayloadOperationType.ReplaceXz]: "xz",
+    [PayloadOperationType.Zstd]: "zstd",
+};
+
+// Operations of full payloads, which don't depend on existing partitions
+const FULL_OPERATION_TYPES = [
+    PayloadOperationType.Replace,
+    PayloadOperationType.ReplaceBz,
+    PayloadOperationType.ReplaceXz,
+    PayloadOperationType.Zstd,
+    PayloadOperationType.Zero,
+    PayloadOperationType.Discard,
+];
+
+/**
+ * Additional options for extracting partitions from payloads.
+ *
+ * @typedef {Object} PayloadExtractOptions
+ * @property {PayloadDecompressors} decompressors - Decompressors for compressed operations.
+ * @property {Function} onProgress - Callback for progress updates between 0 and 1.
+ * @property {AbortSignal} signal - Signal to abort extraction between operations.
+ */
+export interface PayloadExtractOptions {
+    decompressors?: PayloadDecompressors;
+    onProgress?: (progress: number) => void;
+    signal?: AbortSignal;
+}
+
+// Decoded protobuf message, with the values of each field number in order
+type ProtoMessage = Map<number, Array<number | Uint8Array>>;
+
+function readVarint(bytes: Uint8Array, pos: number): [number, number] {
+    // Values above 2^53 lose precision, which is fine for sizes and offsets
+    let value = 0;
+    let scale = 1;
+    while (pos < bytes.length) {
+        let byte = bytes[pos++];
+        value += (byte & 0x7f) * scale;
+        scale *= 128;
+        if ((byte & 0x80) === 0) {
+            return [value, pos];
+        }
+    }
+
+    throw new PayloadError("Manifest is truncated");
+}
+
+/**
+ * Decode a protobuf message without a schema. Nested messages are left as
+ * bytes to be decoded when accessed.
+ *
+ * @private
+ */
+function decodeMessage(bytes: Uint8Array): ProtoMessage {
+    let message: ProtoMessage = new Map();
+    let pos = 0;
+    while (pos < bytes.length) {
+        let key;
+        [key, pos] = readVarint(bytes, pos);
+
+        let value: number | Uint8Array;
+        let wireType = key & 0x7;
+        if (wireType === WIRE_VARINT) {
+            [value, pos] = readVarint(bytes, pos);
+        } else if (wireType === WIRE_LENGTH_DELIMITED) {
+            let length;
+            [length, pos] = readVarint(bytes, pos);
+            if (pos + length > bytes.length) {
+                throw new PayloadError("Manifest is truncated");
+            }
+            value = bytes.subarray(pos, pos + length);
+            pos += length;
+        } else if (wireType === WIRE_FIXED64 || wireType === WIRE_FIXED32) {
+            // None of the fields we use are fixed-size, so skip them
+            value = 0;
+            pos += wireType === WIRE_FIXED64 ? 8 : 4;
+        } else {
+            throw new PayloadError(
+                `Unsupported protobuf wire type ${wireType}`
+            );
+        }
+
+        let field = Math.floor(key / 8);
+        if (!message.has(field)) {
+            message.set(field, []);
+        }
+        message.get(field)!.push(value);
+    }
+
+    return message;
+}
+
+function getNumber(message: ProtoMessage, field: number, fallback = 0) {
+    let values = message.get(field);
+    if (values === undefined) {
+        return fallback;
+    }
+
+    // Like protobuf, the last value wins
+    let value = values[values.length - 1];
+    if (typeof value !== "number") {
+        throw new PayloadError(`Manifest field ${field} isn't a number`);
+    }
+    return value;
+}
+
+function getAllBytes(message: ProtoMessage, field: number) {
+    return (message.get(field) ?? []).map((value) => {
+        if (typeof value === "number") {
+            throw new PayloadError(`Manifest field ${field} isn't bytes`);
+        }
+        return value;
+    });
+}
+
+function getBytes(message: ProtoMessage, field: number) {
+    let values = getAllBytes(message, field);
+    return values.length > 0 ? values[values.length - 1] : null;
+}
+
+function getString(message: ProtoMessage, field: number) {
+    return new TextDecoder().decode(getBytes(message, field) ?? undefined);
+}
+
+function getMessages(message: ProtoMessage, field: number) {
+    return getAllBytes(message, field).map(decodeMessage);
+}
+
+function parseOperation(message: ProtoMessage): PayloadOperation {
+    return {
+        type: getNumber(message, OPERATION_TYPE),
+        dataOffset: getNumber(message, OPERATION_DATA_OFFSET),
+        dataLength: getNumber(message, OPERATION_DATA_LENGTH),
+        dstExtents: getMessages(message, OPERATION_DST_EXTENTS).map(
+            (extent) => ({
+                startBlock: getNumber(extent, EXTENT_START_BLOCK),
+                numBlocks: getNumber(extent, EXTENT_NUM_BLOCKS),
+            })
+        ),
+        dataSha256: getBytes(message, OPERATION_DATA_SHA256),
+    };
+}
+
+function parsePartition(message: ProtoMessage): PayloadPartition {
+    let info = getMessages(message, PARTITION_NEW_INFO)[0] ?? new Map();
+    return {
+        name: getString(message, PARTITION_NAME),
+        size: getNumber(info, PARTITION_INFO_SIZE),
+        hash: getBytes(info, PARTITION_INFO_HASH),
+        operations: getMessages(message, PARTITION_OPERATIONS).map(
+            parseOperation
+        ),
+    };
+}
+
+function parseGroup(message: ProtoMessage): PayloadPartitionGroup {
+    return {
+        name: getString(message, GROUP_NAME),
+        size: getNumber(message, GROUP_SIZE),
+        partitionNames: getAllBytes(message, GROUP_PARTITION_NAMES).map(
+            (name) => new TextDecoder().decode(name)
+        ),
+    };
+}
+
+/**
+ * Parse the header and manifest of an A/B OTA payload, i.e. the payload.bin
+ * in an OTA zip. The manifest's signatures aren't verified.
+ *
+ * @param {Blob} blob - Blob containing the payload.
+ * @returns {Promise<Payload>} Parsed payload.
+ * @throws {PayloadError}
+ */
+export async function parsePayload(blob: Blob): Promise<Payload> {
+    let header = await common.readBlobAsBuffer(
+        blob.slice(0, PAYLOAD_HEADER_SIZE)
+    );
+    if (header.byteLength < PAYLOAD_HEADER_SIZE) {
+        throw new PayloadError("Payload header is truncated");
+    }
+
+    let view = new DataView(header);
+    let magic = new TextDecoder().decode(new Uint8Array(header, 0, 4));
+    if (magic !== PAYLOAD_MAGIC) {
+        throw new PayloadError("Invalid payload magic");
+    }
+
+    let version = Number(view.getBigUint64(4, false));
+    if (version !== PAYLOAD_VERSION) {
+        throw new PayloadError(`Unsupported payload version ${version}`);
+    }
+
+    let manifestSize = Number(view.getBigUint64(12, false));
+    let signatureSize = view.getUint32(20, false);
+    let manifestBytes = new Uint8Array(
+        await common.readBlobAsBuffer(
+            blob.slice(PAYLOAD_HEADER_SIZE, PAYLOAD_HEADER_SIZE + manifestSize)
+        )
+    );
+    if (manifestBytes.length < manifestSize) {
+        throw new PayloadError("Manifest is truncated");
+    }
+
+    let manifest = decodeMessage(manifestBytes);
+    let dynamicMetadata =
+        getMessages(manifest, MANIFEST_DYNAMIC_PARTITION_METADATA)[0] ??
+        new Map();
+    return {
+        version: version,
+        minorVersion: getNumber(manifest, MANIFEST_MINOR_VERSION),
+        blockSize: getNumber(manifest, MANIFEST_BLOCK_SIZE, DEFAULT_BLOCK_SIZE),
+        dataOffset: PAYLOAD_HEADER_SIZE + manifestSize + signatureSize,
+        partialUpdate: getNumber(manifest, MANIFEST_PARTIAL_UPDATE) !== 0,
+        partitions: getMessages(manifest, MANIFEST_PARTITIONS).map(
+            parsePartition
+        ),
+        groups: getMessages(dynamicMetadata, DYNAMIC_METADATA_GROUPS).map(
+            parseGroup
+        ),
+    };
+}
+
+function operationName(type: PayloadOperationType) {
+    return PayloadOperationType[type] ?? type.toString();
+}
+
+/**
+ * Check that every partition of a payload can be extracted with the given
+ * decompressors, without reading any data. This lets callers fail before
+ * flashing anything instead of partway through.
+ *
+ * @param {Payload} payload - Parsed payload, as returned by {@link parsePayload}.
+ * @param {PayloadDecompressors} decompressors - Decompressors that will be used for extraction.
+ * @throws {PayloadError} If the payload isn't a full payload, or listing the missing decompressors and the operations that need them.
+ * @ignore
+ */
+export function checkPayloadSupport(
+    payload: Payload,
+    decompressors: PayloadDecompressors = {}
+) {
+    let unsupported = new Set<string>();
+    let missing = new Map<string, Set<string>>();
+    for (let partition of payload.partitions) {
+        for (let operation of partition.operations) {
+            let format = DECOMPRESSOR_FORMATS[operation.type];
+            if (format !== undefined) {
+                if (decompressors[format] === undefined) {
+                    if (!missing.has(format)) {
+                        missing.set(format, new Set());
+                    }
+                    missing.get(format)!.add(operationName(operation.type));
+                }
+            } else if (!FULL_OPERATION_TYPES.includes(operation.type)) {
+                unsupported.add(operationName(operation.type));
+            }
+        }
+    }
+
+    if (unsupported.size > 0) {
+        throw new PayloadError(
+            `Unsupported ${Array.from(unsupported).join(
+                ", "
+            )} operations, only full payloads are supported`
+        );
+    }
+    if (missing.size > 0) {
+        let needed = Array.from(
+            missing,
+            ([format, types]) =>
+                `${format} (for ${Array.from(types).join(", ")} operations)`
+        );
+        throw new PayloadError(
+            `Missing payload decompressors: ${needed.join(", ")}`
+        );
+    }
+}
+
+function hashesEqual(hash: Uint8Array, expected: Uint8Array) {
+    return (
+        hash.length === expected.length &&
+        hash.every((byte, i) => byte === expected[i])
+    );
+}
+
+async function checkHash(
+    data: ArrayBuffer,
+    expected: Uint8Array,
+    partition: string,
+    index: number
+) {
+    let hash = new Uint8Array(await crypto.subtle.digest("SHA-256", data));
+    if (!hashesEqual(hash, expected)) {
+        throw new PayloadError(
+            `Hash mismatch in operation ${index} of ${partition}`
+        );
+    }
+}
+
+/**
+ * Read, verify, and decompress the data of an operation.
+ *
+ * @private
+ */
+async function readOperationData(
+    blob: Blob,
+    payload: Payload,
+    partition: string,
+    operation: PayloadOperation,
+    index: number,
+    decompressors: PayloadDecompressors
+) {
+    let start = payload.dataOffset + operation.dataOffset;
+    let data = blob.slice(start, start + operation.dataLength);
+    if (data.size < operation.dataLength) {
+        throw new PayloadError(`Data of ${partition} is truncated`);
+    }
+
+    // Uncompressed data is only read to check the hash, so that the image
+    // can reference the payload instead of holding a copy
+    if (operation.type === PayloadOperationType.Replace) {
+        if (operation.dataSha256 !== null) {
+            await checkHash(
+                await common.readBlobAsBuffer(data),
+                operation.dataSha256,
+                partition,
+                index
+            );
+        }
+        return data;
+    }
+
+    let format = DECOMPRESSOR_FORMATS[operation.type];
+    let decompressor = decompressors[format];
+    if (decompressor === undefined) {
+        throw new PayloadError(
+            `No ${format} decompressor for operation ${index} of ${partition}`
+        );
+    }
+
+    let compressed = await common.readBlobAsBuffer(data);
+    if (operation.dataSha256 !== null) {
+        await checkHash(compressed, operation.dataSha256, partition, index);
+    }
+    // Copy the result, as decompressors may return views of shared buffers
+    let decompressed = await decompressor(new Uint8Array(compressed));
+    return new Blob([decompressed.slice()]);
+}
+
+/**
+ * Hash the first bytes of a sparse partition image without holding it in
+ * memory, and compare the hash to the one in the manifest.
+ *
+ * @private
+ */
+async function checkPartitionHash(
+    image: Blob,
+    size: number,
+    expected: Uint8Array,
+    name: string,
+    options: PayloadExtractOptions
+) {
+    let sha256 = new Sha256();
+    let reader = Sparse.toRawStream(image).getReader();
+    let remaining = size;
+    try {
+        while (remaining > 0) {
+            common.throwIfAborted(options.signal);
+            let result = await reader.read();
+            if (result.done) {
+                break;
+            }
+
+            // The image is padded to a whole block
+            let piece = result.value.subarray(0, remaining);
+            sha256.update(piece);
+            remaining -= piece.length;
+            options.onProgress?.(0.5 + (0.5 * (size - remaining)) / size);
+        }
+    } finally {
+        await reader.cancel();
+    }
+
+    if (!hashesEqual(sha256.digest(), expected)) {
+        throw new PayloadError(`Hash mismatch in ${name}`);
+    }
+}
+
+/**
+ * Rebuild the image of a partition from a full payload, verifying the hash
+ * of each operation's data and of the partition image. The image is returned as a sparse image that
+ * references the payload where possible and stores zeroed blocks as FILL
+ * chunks, so this works with payloads larger than RAM. If the partition size
+ * isn't a multiple of the block size, the last block is padded with zeros.
+ *
+ * @param {Blob} blob - Blob containing the payload.
+ * @param {Payload} payload - Parsed payload, as returned by {@link parsePayload}.
+ * @param {string} name - Name of the partition to extract.
+ * @param {PayloadExtractOptions} options - Additional extraction options.
+ * @returns {Promise<Blob>} Blob containing the sparse partition image.
+ * @throws {PayloadError} If the payload isn't a full payload, is invalid, or a hash doesn't match.
+ * @throws {AbortError}
+ */
+export async function extractPayloadPartition(
+    blob: Blob,
+    payload: Payload,
+    name: string,
+    options: PayloadExtractOptions = {}
+) {
+    let partition = payload.partitions.find((p) => p.name === name);
+    if (partition === undefined) {
+        throw new PayloadError(`Partition ${name} isn't in the payload`);
+    }
+
+    // If there's a partition hash, checking it takes the second half of the
+    // progress
+    let operationsShare = partition.hash !== null ? 0.5 : 1.0;
+    let blockSize = payload.blockSize;
+    let pieces: Array<{ start: number; data: Blob }> = [];
+    for (let [i, operation] of partition.operations.entries()) {
+        common.throwIfAborted(options.signal);
+        options.onProgress?.(
+            (operationsShare * i) / partition.operations.length
+        );
+
+        let data: Blob;
+        switch (operation.type) {
+            case PayloadOperationType.Replace:
+            case PayloadOperationType.ReplaceBz:
+            case PayloadOperationType.ReplaceXz:
+            case PayloadOperationType.Zstd:
+                data = await readOperationData(
+                    blob,
+                    payload,
+                    name,
+                    operation,
+                    i,
+                    options.decompressors ?? {}
+                );
+                break;
+            case PayloadOperationType.Zero:
+            case PayloadOperationType.Discard:
+                // Unwritten blocks are zeroed below
+                continue;
+            default:
+                throw new PayloadError(
+                    `Unsupported ${operationName(
+                        operation.type
+                    )} operation in ${name}, only full payloads are supported`
+                );
+        }
+
+        // Data is written to the extents in order
+        let extentBytes = operation.dstExtents.reduce(
+            (total, extent) => total + extent.numBlocks * blockSize,
+            0
+        );
+        if (data.size > extentBytes) {
+            throw new PayloadError(
+                `Data of operation ${i} in ${name} exceeds its extents`
+            );
+        } else if (data.size < extentBytes) {
+            data = new Blob([data, new Uint8Array(extentBytes - data.size)]);
+        }
+
+        let offset = 0;
+        for (let extent of operation.dstExtents) {
+            let length = extent.numBlocks * blockSize;
+            pieces.push({
+                start: extent.startBlock * blockSize,
+                data: data.slice(offset, offset + length),
+            });
+            offset += length;
+        }
+    }
+
+    // Fill the gaps between pieces with zeros, as ZERO and DISCARD operations
+    // and unwritten blocks expand to. Zeros are stored as FILL chunks so that
+    // they never need to be held in memory.
+    let chunks: Array<Sparse.SparseChunk> = [];
+    let addZeros = (length: number) => {
+        if (length > 0) {
+            chunks.push({
+                type: Sparse.ChunkType.Fill,
+                blocks: length / blockSize,
+                dataBytes: 4,
+                data: new Blob([new ArrayBuffer(4)]),
+            });
+        }
+    };
+
+    let pos = 0;
+    pieces.sort((a, b) => a.start - b.start);
+    for (let piece of pieces) {
+        if (piece.start < pos) {
+            throw new PayloadError(`Overlapping operations in ${name}`);
+        }
+
+        addZeros(piece.start - pos);
+        chunks.push({
+            type: Sparse.ChunkType.Raw,
+            blocks: piece.data.size / blockSize,
+            dataBytes: piece.data.size,
+            data: piece.data,
+        });
+        pos = piece.start + piece.data.size;
+    }
+    // The image may end in the middle of a block
+    let size = partition.size > 0 ? partition.size : pos;
+    let blocks = Math.ceil(size / blockSize);
+    if (pos > blocks * blockSize) {
+        throw new PayloadError(`Operations in ${name} exceed its size`);
+    }
+    addZeros(blocks * blockSize - pos);
+
+    let image = await Sparse.createImage(
+        {
+            blockSize: blockSize,
+            blocks: blocks,
+            chunks: chunks.length,
+            crc32: 0,
+        },
+        chunks
+    );
+    if (partition.hash !== null) {
+        await checkPartitionHash(image, size, partition.hash, name, options);
+    }
+    options.onProgress?.(1.0);
+    return image;
+}
@@ -0,0 +1,157 @@
+// Round constants, the first 32 bits of the fractional parts of the cube roots
+// of the first 64 primes
+const K = new Int32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1,
+    0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+    0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786,
+    0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147,
+    0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+    0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b,
+    0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a,
+    0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+    0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+const INITIAL_STATE = [
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c,
+    0x1f83d9ab, 0x5be0cd19,
+];
+
+const BLOCK_SIZE = 64;
+
+function rotr(x: number, n: number) {
+    return (x >>> n) | (x << (32 - n));
+}
+
+/**
+ * Incremental SHA-256 hash. SubtleCrypto can only hash data that fits in
+ * memory at once, which partition images often don't.
+ *
+ * @ignore
+ */
+export class Sha256 {
+    // Signed, so that values stay small integers in JS engines
+    private _state: Int32Array;
+    private _words: Int32Array;
+    private _block: Uint8Array;
+    private _blockLength: number;
+    private _length: number;
+
+    constructor() {
+        this._state = new Int32Array(INITIAL_STATE);
+        this._words = new Int32Array(64);
+        this._block = new Uint8Array(BLOCK_SIZE);
+        this._blockLength = 0;
+        this._length = 0;
+    }
+
+    /**
+     * Add data to the hash.
+     *
+     * @param {Uint8Array} data - Data to hash.
+     */
+    update(data: Uint8Array) {
+        this._length += data.length;
+
+        let pos = 0;
+        if (this._blockLength > 0) {
+            pos = Math.min(BLOCK_SIZE - this._blockLength, data.length);
+            this._block.set(data.subarray(0, pos), this._blockLength);
+            this._blockLength += pos;
+            if (this._blockLength < BLOCK_SIZE) {
+                return;
+            }
+            this._compress(this._block, 0);
+            this._blockLength = 0;
+        }
+
+        for (; pos + BLOCK_SIZE <= data.length; pos += BLOCK_SIZE) {
+            this._compress(data, pos);
+        }
+        this._block.set(data.subarray(pos));
+        this._blockLength = data.length - pos;
+    }
+
+    /**
+     * Finish hashing. The hash can't be updated afterwards.
+     *
+     * @returns {Uint8Array} The 32-byte hash.
+     */
+    digest() {
+        // Pad with 0x80 and zeros to 8 bytes before a block boundary, then
+        // append the length in bits
+        let bits = this._length * 8;
+        let padding = new Uint8Array(
+            (this._blockLength < 56 ? 64 : 128) - this._blockLength
+        );
+        let view = new DataView(padding.buffer);
+        padding[0] = 0x80;
+        view.setUint32(padding.length - 8, Math.floor(bits / 2 ** 32));
+        view.setUint32(padding.length - 4, bits >>> 0);
+        this.update(padding);
+
+        let hash = new Uint8Array(32);
+        let hashView = new DataView(hash.buffer);
+        for (let i = 0; i < 8; i++) {
+            hashView.setUint32(i * 4, this._state[i]);
+        }
+        return hash;
+    }
+
+    private _compress(data: Uint8Array, offset: number) {
+        let w = this._words;
+        for (let i = 0; i < 16; i++) {
+            let j = offset + i * 4;
+            w[i] =
+                (data[j] << 24) |
+                (data[j + 1] << 16) |
+                (data[j + 2] << 8) |
+                data[j + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+            let s0 =
+                rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            let s1 =
+                rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+        }
+
+        let state = this._state;
+        let a = state[0];
+        let b = state[1];
+        let c = state[2];
+        let d = state[3];
+        let e = state[4];
+        let f = state[5];
+        let g = state[6];
+        let h = state[7];
+        for (let i = 0; i < 64; i++) {
+            let s1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+            let ch = (e & f) ^ (~e & g);
+            let t1 = (h + s1 + ch + K[i] + w[i]) | 0;
+            let s0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+            let maj = (a & b) ^ (a & c) ^ (b & c);
+            let t2 = (s0 + maj) | 0;
+
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+
+        state[0] += a;
+        state[1] += b;
+        state[2] += c;
+        state[3] += d;
+        state[4] += e;
+        state[5] += f;
+        state[6] += g;
+        state[7] += h;
+    }
+}
@@ -0,0 +1,194 @@
+import * as common from "./common";
+import { FastbootDevice, FastbootError } from "./fastboot";
+import type { SlotInfo } from "./info";
+
+/**
+ * State of an A/B slot, as reported by the bootloader.
+ *
+ * @typedef {Object} SlotState
+ * @property {string} name - Name of the slot, e.g. a or b.
+ * @property {boolean} active - Whether this is the current slot.
+ * @property {boolean} bootable - Whether the slot is bootable, i.e. not marked unbootable.
+ * @property {boolean} successful - Whether the slot has booted successfully.
+ * @property {boolean} unbootable - Whether the slot has been marked as unbootable.
+ * @property {number} retryCount - Remaining boot attempts before the slot is marked unbootable.
+ */
+export interface SlotState extends SlotInfo {
+    name: string;
+    active: boolean;
+    bootable: boolean | null;
+}
+
+// Some old bootloaders report slots with a leading underscore
+function normalizeSlot(slot: string) {
+    return slot.replace(/^_/, "");
+}
+
+function slotName(index: number) {
+    return String.fromCharCode("a".charCodeAt(0) + index);
+}
+
+function parseYesNo(value: string | null) {
+    return value === null ? null : value === "yes";
+}
+
+/**
+ * Get the current slot of the device, without underscore.
+ *
+ * @param {FastbootDevice} device - Device to query.
+ * @returns {Promise<string | null>} The current slot, or null if the device doesn't have slots.
+ */
+export async function getCurrentSlot(device: FastbootDevice) {
+    let slot = await device.getVariable("current-slot");
+    return slot ? normalizeSlot(slot) : null;
+}
+
+/**
+ * Get the names of all slots on the device.
+ *
+ * @param {FastbootDevice} device - Device to query.
+ * @returns {Promise<string[]>} Slot names, empty if the device doesn't have slots.
+ */
+export async function getSlotNames(device: FastbootDevice) {
+    let count = parseInt((await device.getVariable("slot-count")) ?? "", 10);
+    if (isNaN(count) || count < 2) {
+        return [];
+    }
+
+    return Array.from({ length: count }, (_, i) => slotName(i));
+}
+
+/**
+ * Get the state of every slot on the device.
+ *
+ * @param {FastbootDevice} device - Device to query.
+ * @returns {Promise<SlotState[]>} State of each slot, empty if the device doesn't have slots.
+ */
+export async function getSlots(device: FastbootDevice) {
+    let current = await getCurrentSlot(device);
+    let slots: Array<SlotState> = [];
+    for (let name of await getSlotNames(device)) {
+        let unbootable = parseYesNo(
+            await device.getVariable(`slot-unbootable:${name}`)
+        );
+        let retryCount = await device.getVariable(`slot-retry-count:${name}`);
+        slots.push({
+            name: name,
+            active: name === current,
+            bootable: unbootable === null ? null : !unbootable,
+            successful: parseYesNo(
+                await device.getVariable(`slot-successful:${name}`)
+            ),
+            unbootable: unbootable,
+            retryCount: retryCount !== null ? parseInt(retryCount, 10) : null,
+        });
+    }
+
+    return slots;
+}
+
+/**
+ * Resolve a slot selection to concrete slot names. Supported selections are
+ * slot names, `current`, `other` (the slot after the current one), and `all`,
+ * as in AOSP fastboot's `--slot` option.
+ *
+ * @param {FastbootDevice} device - Device to query.
+ * @param {string} slot - Slot selection to resolve.
+ * @returns {Promise<string[]>} Names of the selected slots.
+ * @throws {FastbootError}
+ */
+export async function resolveSlots(device: FastbootDevice, slot: string) {
+    let names = await getSlotNames(device);
+    if (names.length === 0) {
+        throw new FastbootError("FAIL", "Device does not support slots");
+    }
+
+    if (slot === "all") {
+        return names;
+    }
+
+    let current = await getCurrentSlot(device);
+    if (slot === "current" || slot === "other") {
+        if (current === null || !names.includes(current)) {
+            throw new FastbootError(
+                "FAIL",
+                `Unable to determine current slot: ${current}`
+            );
+        }
+
+        if (slot === "current") {
+            return [current];
+        }
+        return [names[(names.indexOf(current) + 1) % names.length]];
+    }
+
+    slot = normalizeSlot(slot);
+    if (!names.includes(slot)) {
+        throw new FastbootError(
+            "FAIL",
+            `Invalid slot ${slot}, device has slots ${names.join(", ")}`
+        );
+    }
+    return [slot];
+}
+
+/**
+ * Resolve the slot to mark as active after an operation, as selected by AOSP
+ * fastboot's `--set-active` option. This needs to happen before the
+ * operation, because it may change what "current" and "other" refer to.
+ *
+ * @param {FastbootDevice} device - Device to query.
+ * @param {string} slot - Slot selection of the operation, if any.
+ * @param {boolean | string} setActive - Slot selection to activate, or true for the operation's slot.
+ * @returns {Promise<string | null>} Name of the slot to activate, or null if none.
+ * @throws {FastbootError}
+ */
+export async function resolveActiveSlot(
+    device: FastbootDevice,
+    slot: string | undefined,
+    setActive: boolean | string | undefined
+) {
+    if (setActive === undefined || setActive === false) {
+        return null;
+    }
+
+    let target = setActive === true ? slot ?? "current" : setActive;
+    let slots = await resolveSlots(device, target);
+    if (slots.length !== 1) {
+        throw new FastbootError(
+            "FAIL",
+            `Unable to activate multiple slots: ${target}`
+        );
+    }
+    return slots[0];
+}
+
+/**
+ * Mark the given slot as active, so that the device boots from it next.
+ *
+ * @param {FastbootDevice} device - Device to change the slot of.
+ * @param {string} slot - Slot to activate, or `other` for the inactive slot.
+ * @throws {FastbootError}
+ */
+export async function setActiveSlot(device: FastbootDevice, slot: string) {
+    let slots = await resolveSlots(device, slot);
+    if (slots.length !== 1) {
+        throw new FastbootError(
+            "FAIL",
+            `Unable to activate multiple slots: ${slot}`
+        );
+    }
+
+    // Both fastbootd and most bootloaders refuse to switch slots while a
+    // Virtual A/B snapshot is merging, with less helpful messages
+    let snapshotStatus = await device.getVariable("snapshot-update-status");
+    if (snapshotStatus === "merging") {
+        throw new FastbootError(
+            "FAIL",
+            "Cannot change slots while a snapshot update is merging"
+        );
+    }
+
+    common.logDebug(`Setting active slot to ${slots[0]}`);
+    await device.runCommand(`set_active:${slots[0]}`);
+}
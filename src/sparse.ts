@@ -5,15 +5,62 @@ const FILE_MAGIC = 0xed26ff3a;
 const MAJOR_VERSION = 1;
 const MINOR_VERSION = 0;
 export const FILE_HEADER_SIZE = 28;
-const CHUNK_HEADER_SIZE = 12;
+export const CHUNK_HEADER_SIZE = 12;
 
 // AOSP libsparse uses 64 MiB chunks
 const RAW_CHUNK_SIZE = 64 * 1024 * 1024;
+// Size of the pieces that FILL chunks are expanded in
+const FILL_BUFFER_SIZE = 1024 * 1024;
+// Size of the pieces that raw data is read in when decoding
+const DECODE_PIECE_SIZE = 1024 * 1024;
+// Block size used by AOSP img2simg
+const DEFAULT_BLOCK_SIZE = 4096;
+// Amount of raw image data to read at once when scanning for FILL blocks
+const SCAN_WINDOW_SIZE = 16 * 1024 * 1024;
 
+/**
+ * Reasons for sparse image errors, for handling them programmatically.
+ *
+ * @enum {string}
+ */
+export enum ImageErrorReason {
+    /** The image header is invalid or unsupported. */
+    Invalid = "invalid",
+    /** The data isn't a sparse image at all. */
+    NotSparse = "not-sparse",
+    /** The image ends in the middle of a chunk. */
+    Truncated = "truncated",
+    /** A chunk's data length doesn't match its type and block count. */
+    ChunkSize = "chunk-size",
+    /** A chunk has an unknown type. */
+    ChunkType = "chunk-type",
+    /** The chunks don't add up to the number of blocks in the header. */
+    BlockCount = "block-count",
+    /** The image data doesn't match its CRC32 checksum. */
+    Crc32 = "crc32",
+}
+
+/**
+ * Exception class for invalid sparse images.
+ */
 export class ImageError extends Error {
-    constructor(message: string) {
+    reason: ImageErrorReason;
+    chunk: number | null;
+
+    /**
+     * @param {string} message - Description of the error.
+     * @param {ImageErrorReason} reason - Kind of error.
+     * @param {number | null} chunk - Index of the chunk with the error, if applicable.
+     */
+    constructor(
+        message: string,
+        reason: ImageErrorReason = ImageErrorReason.Invalid,
+        chunk: number | null = null
+    ) {
         super(message);
         this.name = "ImageError";
+        this.reason = reason;
+        this.chunk = chunk;
     }
 }
 
@@ -45,20 +92,22 @@ export interface SparseChunk {
 }
 
 class BlobBuilder {
-    private blob: Blob;
+    private parts: Array<BlobPart>;
     private type: string;
 
     constructor(type: string = "") {
         this.type = type;
-        this.blob = new Blob([], { type: this.type });
+        this.parts = [];
     }
 
     append(blob: Blob) {
-        this.blob = new Blob([this.blob, blob], { type: this.type });
+        // Collect parts and create the Blob once, so that images with many
+        // chunks don't become deeply nested Blobs
+        this.parts.push(blob);
     }
 
     getBlob(): Blob {
-        return this.blob;
+        return new Blob(this.parts, { type: this.type });
     }
 }
 
@@ -109,7 +158,33 @@ export function parseFileHeader(buffer: ArrayBuffer): SparseHeader | null {
     };
 }
 
-function parseChunkHeader(buffer: ArrayBuffer) {
+// Parses the file header of the given Blob, which may be too small for one
+async function readFileHeader(blob: Blob) {
+    let header =
+        blob.size >= FILE_HEADER_SIZE
+            ? parseFileHeader(
+                  await common.readBlobAsBuffer(blob.slice(0, FILE_HEADER_SIZE))
+              )
+            : null;
+    if (header === null) {
+        throw new ImageError(
+            "Blob is not a sparse image",
+            ImageErrorReason.NotSparse
+        );
+    }
+
+    return header;
+}
+
+/**
+ * Returns a parsed version of a sparse chunk header from the given buffer.
+ * The chunk's data is left unpopulated.
+ *
+ * @param {ArrayBuffer} buffer - Raw chunk header data.
+ * @returns {SparseChunk} Object containing the chunk information.
+ * @ignore
+ */
+export function parseChunkHeader(buffer: ArrayBuffer) {
     let view = new DataView(buffer);
 
     // This isn't the same as what createImage takes.
@@ -141,12 +216,339 @@ function calcChunksSize(chunks: Array<SparseChunk>) {
     return overhead + calcChunksDataSize(chunks);
 }
 
-async function createImage(header: SparseHeader, chunks: Array<SparseChunk>): Promise<Blob> {
+/**
+ * Generates the data of a FILL chunk, which repeats the given 4-byte pattern,
+ * in pieces small enough to keep in memory. Only one piece is allocated at a
+ * time, so this works with fills larger than RAM.
+ *
+ * @param {ArrayBuffer} pattern - 4-byte fill value.
+ * @param {number} length - Total size of the data in bytes, a multiple of 4.
+ * @yields {Uint8Array} The next piece of the repeated pattern.
+ * @ignore
+ */
+export function* fillPieces(pattern: ArrayBuffer, length: number) {
+    let patternView = new Uint32Array(pattern, 0, 1);
+    let buffer = new Uint32Array(Math.min(length, FILL_BUFFER_SIZE) / 4);
+    buffer.fill(patternView[0]);
+
+    let bytes = new Uint8Array(buffer.buffer);
+    for (let pos = 0; pos < length; pos += bytes.byteLength) {
+        // Copy so that consumers can keep or transfer each piece
+        yield bytes.slice(0, Math.min(bytes.byteLength, length - pos));
+    }
+}
+
+/**
+ * Iterate over the chunks of a sparse image. The data of each chunk is
+ * populated with a slice of the given Blob, so this works with images larger
+ * than RAM.
+ *
+ * @param {Blob} blob - Blob containing the sparse image.
+ * @yields {Object} The next chunk and the index of the first block it covers.
+ * @throws {ImageError} If the image isn't a sparse image or is truncated.
+ */
+export async function* readChunks(blob: Blob) {
+    let header = await readFileHeader(blob);
+
+    let offset = FILE_HEADER_SIZE;
+    let block = 0;
+    for (let i = 0; i < header.chunks; i++) {
+        if (offset + CHUNK_HEADER_SIZE > blob.size) {
+            throw new ImageError(
+                `Image ends at chunk ${i} of ${header.chunks}`,
+                ImageErrorReason.Truncated,
+                i
+            );
+        }
+        let chunk = parseChunkHeader(
+            await common.readBlobAsBuffer(
+                blob.slice(offset, offset + CHUNK_HEADER_SIZE)
+            )
+        );
+        offset += CHUNK_HEADER_SIZE;
+        if (chunk.dataBytes < 0 || offset + chunk.dataBytes > blob.size) {
+            throw new ImageError(
+                `Data of chunk ${i} is truncated: expected ${
+                    chunk.dataBytes
+                } bytes, got ${blob.size - offset}`,
+                ImageErrorReason.Truncated,
+                i
+            );
+        }
+        chunk.data = blob.slice(offset, offset + chunk.dataBytes);
+        offset += chunk.dataBytes;
+
+        yield { chunk: chunk, block: block };
+        block += chunk.blocks;
+    }
+}
+
+// Checks that a chunk has a known type and the right amount of data for it
+function checkChunk(chunk: SparseChunk, blockSize: number, index: number) {
+    let expected: number;
+    switch (chunk.type) {
+        case ChunkType.Raw:
+            expected = chunk.blocks * blockSize;
+            break;
+        case ChunkType.Fill:
+        case ChunkType.Crc32:
+            expected = 4;
+            break;
+        case ChunkType.Skip:
+            expected = 0;
+            break;
+        default:
+            throw new ImageError(
+                `Chunk ${index} has unknown type 0x${(chunk.type as number).toString(
+                    16
+                )}`,
+                ImageErrorReason.ChunkType,
+                index
+            );
+    }
+
+    if (chunk.dataBytes !== expected) {
+        throw new ImageError(
+            `Chunk ${index} has ${chunk.dataBytes} bytes of data, expected ${expected}`,
+            ImageErrorReason.ChunkSize,
+            index
+        );
+    }
+}
+
+// Reads a Blob in pieces small enough to keep in memory
+async function* readPieces(blob: Blob) {
+    for (let offset = 0; offset < blob.size; offset += DECODE_PIECE_SIZE) {
+        yield new Uint8Array(
+            await common.readBlobAsBuffer(
+                blob.slice(offset, offset + DECODE_PIECE_SIZE)
+            )
+        );
+    }
+}
+
+// Generates the raw data that a chunk expands to, one piece at a time
+async function* expandChunk(chunk: SparseChunk, blockSize: number) {
+    let length = chunk.blocks * blockSize;
+    switch (chunk.type) {
+        case ChunkType.Raw:
+            yield* readPieces(chunk.data!);
+            break;
+        case ChunkType.Fill:
+            yield* fillPieces(
+                await common.readBlobAsBuffer(chunk.data!),
+                length
+            );
+            break;
+        case ChunkType.Skip:
+            // DONT_CARE blocks are zeros in the output, like simg2img
+            yield* fillPieces(new ArrayBuffer(4), length);
+            break;
+    }
+}
+
+/**
+ * Iterate over the chunks of a sparse image, checking that each one is valid
+ * and that they add up to the image size.
+ *
+ * @private
+ */
+async function* readCheckedChunks(blob: Blob) {
+    let header = await readFileHeader(blob);
+    let index = 0;
+    let endBlock = 0;
+    for await (let { chunk, block } of readChunks(blob)) {
+        checkChunk(chunk, header.blockSize, index);
+        endBlock = block + chunk.blocks;
+        if (endBlock > header.blocks) {
+            throw new ImageError(
+                `Chunk ${index} ends at block ${endBlock}, past the ${header.blocks}-block image`,
+                ImageErrorReason.BlockCount,
+                index
+            );
+        }
+
+        yield { chunk: chunk, blockSize: header.blockSize };
+        index++;
+    }
+
+    if (endBlock !== header.blocks) {
+        throw new ImageError(
+            `Chunks cover ${endBlock} blocks, but the image has ${header.blocks}`,
+            ImageErrorReason.BlockCount
+        );
+    }
+}
+
+/**
+ * Converts a sparse image to a raw image, like AOSP simg2img. The raw image
+ * references the data of RAW chunks instead of copying it, but FILL and
+ * DONT_CARE chunks have to be expanded in memory. Use {@link toRawStream}
+ * for images with large filled regions.
+ *
+ * @param {Blob} blob - Blob containing the sparse image.
+ * @returns {Promise<Blob>} Blob containing the raw image.
+ * @throws {ImageError}
+ */
+export async function toRaw(blob: Blob): Promise<Blob> {
+    let parts: Array<BlobPart> = [];
+    for await (let { chunk, blockSize } of readCheckedChunks(blob)) {
+        if (chunk.type === ChunkType.Raw) {
+            parts.push(chunk.data!);
+        } else {
+            for await (let piece of expandChunk(chunk, blockSize)) {
+                parts.push(piece);
+            }
+        }
+    }
+
+    return new Blob(parts);
+}
+
+/**
+ * Converts a sparse image to a stream of raw image data. The image is only
+ * read as the stream is consumed and filled regions are generated piece by
+ * piece, so this works with images larger than RAM. Invalid images cause
+ * the stream to error with an {@link ImageError}.
+ *
+ * @param {Blob} blob - Blob containing the sparse image.
+ * @returns {ReadableStream<Uint8Array>} Stream of raw image data.
+ */
+export function toRawStream(blob: Blob): ReadableStream<Uint8Array> {
+    let pieces = (async function* () {
+        for await (let { chunk, blockSize } of readCheckedChunks(blob)) {
+            yield* expandChunk(chunk, blockSize);
+        }
+    })();
+
+    return new ReadableStream<Uint8Array>({
+        async pull(controller) {
+            let result = await pieces.next();
+            if (result.done) {
+                controller.close();
+            } else {
+                controller.enqueue(result.value);
+            }
+        },
+        async cancel() {
+            await pieces.return(undefined);
+        },
+    });
+}
+
+/**
+ * Checks a sparse image for errors: truncated data, chunks with unknown types
+ * or wrong data lengths, chunks that don't add up to the image size, and
+ * CRC32 checksum mismatches. Checksums are only verified if the image has
+ * them and is otherwise valid, as that requires reading the entire image.
+ *
+ * @param {Blob} blob - Blob containing the sparse image.
+ * @returns {Promise<ImageError[]>} Errors found in the image, empty if it's valid.
+ */
+export async function validate(blob: Blob) {
+    let errors: Array<ImageError> = [];
+    let header: SparseHeader;
+    try {
+        header = await readFileHeader(blob);
+    } catch (error) {
+        if (error instanceof ImageError) {
+            return [error];
+        }
+        throw error;
+    }
+
+    // Check the structure, collecting checksums by chunk index
+    let checksums = new Map<number, number>();
+    let index = 0;
+    let endBlock = 0;
+    try {
+        for await (let { chunk, block } of readChunks(blob)) {
+            try {
+                checkChunk(chunk, header.blockSize, index);
+                if (chunk.type === ChunkType.Crc32) {
+                    let data = await common.readBlobAsBuffer(chunk.data!);
+                    checksums.set(index, new DataView(data).getUint32(0, true));
+                }
+            } catch (error) {
+                if (!(error instanceof ImageError)) {
+                    throw error;
+                }
+                errors.push(error);
+            }
+
+            endBlock = block + chunk.blocks;
+            index++;
+        }
+    } catch (error) {
+        // Truncated, so nothing else can be checked
+        if (error instanceof ImageError) {
+            errors.push(error);
+            return errors;
+        }
+        throw error;
+    }
+
+    if (endBlock !== header.blocks) {
+        errors.push(
+            new ImageError(
+                `Chunks cover ${endBlock} blocks, but the image has ${header.blocks}`,
+                ImageErrorReason.BlockCount
+            )
+        );
+    }
+
+    if (errors.length > 0 || (checksums.size === 0 && header.crc32 === 0)) {
+        return errors;
+    }
+
+    // CRC32 chunks cover all data before them
+    let crc = 0;
+    index = 0;
+    for await (let { chunk, blockSize } of readCheckedChunks(blob)) {
+        let expected = checksums.get(index);
+        if (expected !== undefined && expected !== crc) {
+            errors.push(
+                new ImageError(
+                    `CRC32 of chunk ${index} doesn't match: expected ${expected.toString(
+                        16
+                    )}, got ${crc.toString(16)}`,
+                    ImageErrorReason.Crc32,
+                    index
+                )
+            );
+        }
+
+        for await (let piece of expandChunk(chunk, blockSize)) {
+            crc = updateCrc32(crc, piece);
+        }
+        index++;
+    }
+
+    if (header.crc32 !== 0 && header.crc32 !== crc) {
+        errors.push(
+            new ImageError(
+                `CRC32 of image doesn't match: expected ${header.crc32.toString(
+                    16
+                )}, got ${crc.toString(16)}`,
+                ImageErrorReason.Crc32
+            )
+        );
+    }
+
+    return errors;
+}
+
+/**
+ * Creates a sparse image from the given chunks. The chunks' data is
+ * referenced instead of copied.
+ *
+ * @ignore
+ */
+export async function createImage(header: SparseHeader, chunks: Array<SparseChunk>): Promise<Blob> {
     let blobBuilder = new BlobBuilder();
 
     let buffer = new ArrayBuffer(FILE_HEADER_SIZE);
     let dataView = new DataView(buffer);
-    let arrayView = new Uint8Array(buffer);
 
     dataView.setUint32(0, FILE_MAGIC, true);
     // v1.0
@@ -167,9 +569,8 @@ async function createImage(header: SparseHeader, chunks: Array<SparseChunk>): Pr
 
     blobBuilder.append(new Blob([buffer]));
     for (let chunk of chunks) {
-        buffer = new ArrayBuffer(CHUNK_HEADER_SIZE + chunk.data!.size);
+        buffer = new ArrayBuffer(CHUNK_HEADER_SIZE);
         dataView = new DataView(buffer);
-        arrayView = new Uint8Array(buffer);
 
         dataView.setUint16(0, chunk.type, true);
         dataView.setUint16(2, 0, true); // reserved
@@ -180,39 +581,269 @@ async function createImage(header: SparseHeader, chunks: Array<SparseChunk>): Pr
             true
         );
 
-        let chunkArrayView = new Uint8Array(await common.readBlobAsBuffer(chunk.data!));
-        arrayView.set(chunkArrayView, CHUNK_HEADER_SIZE);
+        // Reference the chunk data instead of reading it, as it may be a
+        // slice of an image larger than RAM
         blobBuilder.append(new Blob([buffer]));
+        blobBuilder.append(chunk.data!);
     }
 
     return blobBuilder.getBlob();
 }
 
 /**
- * Creates a sparse image from buffer containing raw image data.
+ * Byte range within an image.
+ *
+ * @typedef {Object} ByteRange
+ * @property {number} offset - Offset of the range in bytes.
+ * @property {number} length - Length of the range in bytes.
+ */
+export interface ByteRange {
+    offset: number;
+    length: number;
+}
+
+/**
+ * Options for converting raw images to sparse images.
+ *
+ * @typedef {Object} SparseEncodeOptions
+ * @property {number} blockSize - Block size of the sparse image, 4096 bytes by default.
+ * @property {ByteRange[]} dontCare - Ranges whose contents don't matter, e.g. unallocated filesystem space. They are skipped instead of written, and must be aligned to the block size.
+ * @property {boolean} crc32 - Whether to append a CRC32 chunk with the checksum of the expanded image, like AOSP libsparse.
+ */
+export interface SparseEncodeOptions {
+    blockSize?: number;
+    dontCare?: Array<ByteRange>;
+    crc32?: boolean;
+}
+
+// Run of blocks that will become a single chunk
+interface BlockRun {
+    type: ChunkType;
+    start: number;
+    blocks: number;
+    fillValue: number;
+}
+
+let crc32Table: Uint32Array | null = null;
+
+/**
+ * Update a CRC32 checksum, as used by zlib and AOSP libsparse, with the given
+ * data.
+ *
+ * @param {number} crc - Checksum of the preceding data, 0 initially.
+ * @param {Uint8Array} data - Data to add to the checksum.
+ * @returns {number} Updated checksum.
+ * @ignore
+ */
+export function updateCrc32(crc: number, data: Uint8Array) {
+    if (crc32Table === null) {
+        crc32Table = new Uint32Array(256);
+        for (let i = 0; i < 256; i++) {
+            let c = i;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crc32Table[i] = c;
+        }
+    }
+
+    crc = ~crc;
+    for (let i = 0; i < data.length; i++) {
+        crc = crc32Table[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return ~crc >>> 0;
+}
+
+/**
+ * Update a CRC32 checksum with the given number of zero bytes.
+ *
+ * @ignore
+ */
+export function updateCrc32Zeros(crc: number, length: number) {
+    let zeros = new Uint8Array(Math.min(length, FILL_BUFFER_SIZE));
+    while (length > 0) {
+        let size = Math.min(length, zeros.length);
+        crc = updateCrc32(crc, zeros.subarray(0, size));
+        length -= size;
+    }
+    return crc;
+}
+
+// Returns the 32-bit value repeated in the block, or null if it isn't a fill
+function getFillValue(words: Uint32Array) {
+    let value = words[0];
+    for (let i = 1; i < words.length; i++) {
+        if (words[i] !== value) {
+            return null;
+        }
+    }
+    return value;
+}
+
+/**
+ * Creates a sparse image from a Blob containing raw image data. Blocks that
+ * repeat a 32-bit pattern (most commonly zeros) are stored as FILL chunks,
+ * and ranges marked as don't-care are stored as DONT_CARE chunks, like AOSP
+ * img2simg. The image is scanned incrementally and raw data is referenced
+ * rather than copied, so this works with images larger than RAM.
+ *
+ * If the size isn't a multiple of the block size, the last block is padded
+ * with zeros.
  *
  * @param {Blob} blob - Blob containing the raw image data.
+ * @param {SparseEncodeOptions} options - Options for the sparse image.
  * @returns {Promise<Blob>} Promise that resolves the blob containing the new sparse image.
+ * @throws {ImageError}
  */
-export async function fromRaw(blob: Blob): Promise<Blob> {
+export async function fromRaw(
+    blob: Blob,
+    options: SparseEncodeOptions = {}
+): Promise<Blob> {
+    let blockSize = options.blockSize ?? DEFAULT_BLOCK_SIZE;
+    if (blockSize <= 0 || blockSize % 4 !== 0) {
+        throw new ImageError(`Block size ${blockSize} is not a multiple of 4`);
+    }
+
     let header = {
-        blockSize: 4096,
-        blocks: blob.size / 4096,
-        chunks: 1,
+        blockSize: blockSize,
+        blocks: Math.ceil(blob.size / blockSize),
+        chunks: 0,
         crc32: 0,
     };
+    if (blob.size % blockSize !== 0) {
+        blob = new Blob([
+            blob,
+            new ArrayBuffer(blockSize - (blob.size % blockSize)),
+        ]);
+    }
+
+    let skipRanges = (options.dontCare ?? [])
+        .map((range) => {
+            if (
+                range.offset % blockSize !== 0 ||
+                range.length % blockSize !== 0
+            ) {
+                throw new ImageError(
+                    `Don't-care range at ${range.offset} is not aligned to ${blockSize}-byte blocks`
+                );
+            }
+            return {
+                start: range.offset / blockSize,
+                end: (range.offset + range.length) / blockSize,
+            };
+        })
+        .sort((a, b) => a.start - b.start);
+
+    let runs: Array<BlockRun> = [];
+    let maxRawBlocks = Math.floor(RAW_CHUNK_SIZE / blockSize);
+    let addBlocks = (
+        type: ChunkType,
+        start: number,
+        blocks: number,
+        fillValue = 0
+    ) => {
+        let last = runs[runs.length - 1];
+        if (
+            last !== undefined &&
+            last.type === type &&
+            (type !== ChunkType.Fill || last.fillValue === fillValue) &&
+            (type !== ChunkType.Raw || last.blocks + blocks <= maxRawBlocks)
+        ) {
+            last.blocks += blocks;
+        } else {
+            runs.push({
+                type: type,
+                start: start,
+                blocks: blocks,
+                fillValue: fillValue,
+            });
+        }
+    };
 
-    let chunks = [];
-    while (blob.size > 0) {
-        let chunkSize = Math.min(blob.size, RAW_CHUNK_SIZE);
+    let crc = 0;
+    let window: ArrayBuffer | null = null;
+    let windowStart = 0;
+    let windowBlocks = Math.max(1, Math.floor(SCAN_WINDOW_SIZE / blockSize));
+    let rangeIndex = 0;
+    let block = 0;
+    while (block < header.blocks) {
+        while (
+            rangeIndex < skipRanges.length &&
+            skipRanges[rangeIndex].end <= block
+        ) {
+            rangeIndex++;
+        }
+
+        let range = skipRanges[rangeIndex];
+        if (range !== undefined && range.start <= block) {
+            let end = Math.min(range.end, header.blocks);
+            addBlocks(ChunkType.Skip, block, end - block);
+            if (options.crc32) {
+                // libsparse checksums skipped blocks as zeros
+                crc = updateCrc32Zeros(crc, (end - block) * blockSize);
+            }
+            block = end;
+            continue;
+        }
+
+        // Read the image in large windows to avoid per-block overhead
+        if (window === null || block >= windowStart + windowBlocks) {
+            windowStart = block;
+            window = await common.readBlobAsBuffer(
+                blob.slice(block * blockSize, (block + windowBlocks) * blockSize)
+            );
+        }
+
+        let offset = (block - windowStart) * blockSize;
+        let fillValue = getFillValue(
+            new Uint32Array(window, offset, blockSize / 4)
+        );
+        if (fillValue !== null) {
+            addBlocks(ChunkType.Fill, block, 1, fillValue);
+        } else {
+            addBlocks(ChunkType.Raw, block, 1);
+        }
+        if (options.crc32) {
+            crc = updateCrc32(crc, new Uint8Array(window, offset, blockSize));
+        }
+        block++;
+    }
+
+    let chunks: Array<SparseChunk> = runs.map((run) => {
+        let data: Blob;
+        if (run.type === ChunkType.Raw) {
+            data = blob.slice(
+                run.start * blockSize,
+                (run.start + run.blocks) * blockSize
+            );
+        } else if (run.type === ChunkType.Fill) {
+            data = new Blob([Uint32Array.of(run.fillValue)]);
+        } else {
+            data = new Blob([]);
+        }
+
+        return {
+            type: run.type,
+            blocks: run.blocks,
+            dataBytes: data.size,
+            data: data,
+        };
+    });
+
+    if (options.crc32) {
+        let data = new ArrayBuffer(4);
+        new DataView(data).setUint32(0, crc, true);
         chunks.push({
-            type: ChunkType.Raw,
-            blocks: chunkSize / header.blockSize,
-            data: blob.slice(0, chunkSize),
-        } as SparseChunk);
-        blob = blob.slice(chunkSize);
+            type: ChunkType.Crc32,
+            blocks: 0,
+            dataBytes: 4,
+            data: new Blob([data]),
+        });
     }
 
+    common.logDebug(
+        `Encoded ${header.blocks}-block raw image into ${chunks.length} sparse chunks`
+    );
     return createImage(header, chunks);
 }
 
@@ -237,9 +868,16 @@ export async function* splitBlob(blob: Blob, splitSize: number) {
     // Short-circuit if splitting isn't required
     if (blob.size <= splitSize) {
         common.logDebug("Blob fits in 1 payload, not splitting");
+        let data = await common.readBlobAsBuffer(blob);
+        // Sparse images write more bytes than they contain
+        let header =
+            data.byteLength >= FILE_HEADER_SIZE
+                ? parseFileHeader(data.slice(0, FILE_HEADER_SIZE))
+                : null;
         yield {
-            data: await common.readBlobAsBuffer(blob),
-            bytes: blob.size,
+            data: data,
+            bytes:
+                header !== null ? header.blocks * header.blockSize : blob.size,
         } as SparseSplit;
         return;
     }
@@ -266,6 +904,11 @@ export async function* splitBlob(blob: Blob, splitSize: number) {
         originalChunk.data = blob.slice(CHUNK_HEADER_SIZE, CHUNK_HEADER_SIZE + originalChunk.dataBytes);
         blob = blob.slice(CHUNK_HEADER_SIZE + originalChunk.dataBytes);
 
+        // The checksum covers the whole image, so it's invalid in splits
+        if (originalChunk.type === ChunkType.Crc32) {
+            continue;
+        }
+
         let chunksToProcess: SparseChunk[] = [];
 
         // take into account cases where the chunk data is bigger than the maximum allowed download size
@@ -277,9 +920,12 @@ export async function* splitBlob(blob: Blob, splitSize: number) {
             // we should now split this chunk into multiple chunks that fit
             let originalDataBytes = originalChunk.dataBytes;
             let originalData = originalChunk.data;
+            // Each part must cover whole blocks
+            const maxPartBytes =
+                safeSendValue - (safeSendValue % header.blockSize);
 
             while (originalDataBytes > 0) {
-                const toSend = Math.min(safeSendValue, originalDataBytes);
+                const toSend = Math.min(maxPartBytes, originalDataBytes);
 
                 chunksToProcess.push({
                     type: originalChunk.type,
@@ -306,7 +952,8 @@ export async function* splitBlob(blob: Blob, splitSize: number) {
                 `  Chunk ${i}: type ${chunk.type}, ${chunk.dataBytes} bytes / ${chunk.blocks} blocks, ${bytesRemaining} bytes remaining`
             );
 
-            if (bytesRemaining >= chunk.dataBytes) {
+            // Leave room for this chunk's header and the final SKIP chunk
+            if (bytesRemaining >= CHUNK_HEADER_SIZE * 2 + chunk.dataBytes) {
                 // Read the chunk and add it
                 common.logVerbose("    Space is available, adding chunk");
                 splitChunks.push(chunk);
@@ -356,7 +1003,7 @@ export async function* splitBlob(blob: Blob, splitSize: number) {
                     chunk,
                 ];
 
-                splitDataBytes = chunk.dataBytes;
+                splitDataBytes = chunk.blocks * header.blockSize;
             }
 
         }
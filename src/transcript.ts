@@ -0,0 +1,272 @@
+import type { FastbootDevice, ReconnectCallback } from "./fastboot";
+import type { FastbootEvent, FastbootEventListener } from "./events";
+import type { FastbootTransport } from "./transport";
+
+const TRANSCRIPT_VERSION = 1;
+
+/**
+ * Exception class for replays that diverge from their transcript.
+ */
+export class ReplayError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = "ReplayError";
+    }
+}
+
+/**
+ * Event in a session transcript. This is a {@link FastbootEvent} with the
+ * time relative to the start of the session.
+ *
+ * @typedef {Object} TranscriptEntry
+ * @property {string} type - Type of the event, e.g. command or response.
+ * @property {number} time - Time of the event, in milliseconds since recording started.
+ * @property {string} sha256 - SHA-256 hash of the data as a hex string, for data events.
+ */
+export type TranscriptEntry = { time: number } & (
+    | { type: "command"; command: string }
+    | {
+          type: "response";
+          command: string | null;
+          status: string;
+          message: string;
+          elapsed: number;
+      }
+    | {
+          type: "data";
+          direction: "out" | "in";
+          size: number;
+          sha256: string | null;
+          elapsed: number;
+          throughput: number;
+      }
+    | { type: "reconnect"; serialNumber: string | null }
+    | { type: "stage"; action: string; item: string }
+);
+
+/**
+ * JSON-serializable transcript of a fastboot session, e.g. to attach to bug
+ * reports.
+ *
+ * @typedef {Object} SessionTranscript
+ * @property {number} version - Version of the transcript format.
+ * @property {number} startTime - Time recording started, in milliseconds since the epoch.
+ * @property {string} transportSerialNumber - Serial number reported by the transport, if any, so that replays identify the device the same way.
+ * @property {TranscriptEntry[]} entries - Recorded events, in order.
+ */
+export interface SessionTranscript {
+    version: number;
+    startTime: number;
+    transportSerialNumber: string | null;
+    entries: Array<TranscriptEntry>;
+}
+
+// Only commands, responses, and non-empty data are exchanged as packets
+function isExchange(entry: TranscriptEntry) {
+    return (
+        entry.type === "command" ||
+        entry.type === "response" ||
+        (entry.type === "data" && entry.size > 0)
+    );
+}
+
+/**
+ * Recorder for the protocol events of a device, producing a transcript that
+ * can be saved as JSON and replayed with {@link ReplayTransport}. To replay
+ * the whole session, start recording before connecting to the device.
+ *
+ * @example
+ *     let recorder = new SessionRecorder(device);
+ *     await device.connect();
+ *     await device.flashFactoryZip(blob, true, onReconnect);
+ *     let json = JSON.stringify(await recorder.stop());
+ */
+export class SessionRecorder {
+    device: FastbootDevice;
+    startTime: number;
+
+    private _entries: Array<TranscriptEntry>;
+    private _listener: FastbootEventListener;
+
+    /**
+     * Start recording the events of a device.
+     *
+     * @param {FastbootDevice} device - Device to record.
+     */
+    constructor(device: FastbootDevice) {
+        this.device = device;
+        this.startTime = Date.now();
+        this._entries = [];
+        this._listener = (event) => this._record(event);
+        device.addEventListener(this._listener);
+    }
+
+    private _record(event: FastbootEvent) {
+        this._entries.push({ ...event, time: event.time - this.startTime });
+    }
+
+    /**
+     * Get the transcript of the events recorded so far.
+     *
+     * @returns {Promise<SessionTranscript>} The transcript.
+     */
+    async getTranscript(): Promise<SessionTranscript> {
+        return {
+            version: TRANSCRIPT_VERSION,
+            startTime: this.startTime,
+            transportSerialNumber: this.device.transport.serialNumber ?? null,
+            entries: this._entries.slice(),
+        };
+    }
+
+    /**
+     * Stop recording.
+     *
+     * @returns {Promise<SessionTranscript>} The transcript of the session.
+     */
+    async stop() {
+        this.device.removeEventListener(this._listener);
+        return await this.getTranscript();
+    }
+}
+
+/**
+ * Transport that replays a recorded session instead of talking to a device,
+ * e.g. to reproduce a failure from a bug report. Commands and the sizes of
+ * sent data must match the transcript. Received data is replaced with zeros
+ * because transcripts don't contain it.
+ */
+export class ReplayTransport implements FastbootTransport {
+    transcript: SessionTranscript;
+    serialNumber: string | null;
+
+    private _opened: boolean;
+    private _position: number;
+    // Bytes of the current data entry that were already transferred
+    private _dataOffset: number;
+
+    /**
+     * Create a new replay transport.
+     *
+     * @param {SessionTranscript} transcript - Transcript to replay.
+     * @throws {ReplayError} If the transcript version is unsupported.
+     */
+    constructor(transcript: SessionTranscript) {
+        if (transcript.version !== TRANSCRIPT_VERSION) {
+            throw new ReplayError(
+                `Unsupported transcript version ${transcript.version}`
+            );
+        }
+
+        this.transcript = transcript;
+        this.serialNumber = transcript.transportSerialNumber;
+        this._opened = false;
+        this._position = 0;
+        this._dataOffset = 0;
+    }
+
+    get isConnected() {
+        return this._opened;
+    }
+
+    /**
+     * Whether all exchanges in the transcript have been replayed.
+     */
+    get isFinished() {
+        return this._nextEntry() === null;
+    }
+
+    async connect() {
+        this._opened = true;
+    }
+
+    async waitForDisconnect() {}
+
+    async waitForConnect(_onReconnect: ReconnectCallback = () => {}) {
+        this._opened = true;
+    }
+
+    // Skips events that don't correspond to packets
+    private _nextEntry() {
+        let entries = this.transcript.entries;
+        while (
+            this._position < entries.length &&
+            !isExchange(entries[this._position])
+        ) {
+            this._position += 1;
+        }
+
+        return this._position < entries.length ? entries[this._position] : null;
+    }
+
+    private _describe(entry: TranscriptEntry | null) {
+        if (entry === null) {
+            return "end of transcript";
+        } else if (entry.type === "command") {
+            return `command ${entry.command}`;
+        } else if (entry.type === "response") {
+            return `response ${entry.status}${entry.message}`;
+        } else if (entry.type === "data") {
+            return `${entry.size} bytes of ${entry.direction} data`;
+        }
+        return entry.type;
+    }
+
+    async write(data: ArrayBuffer) {
+        let entry = this._nextEntry();
+        if (
+            entry !== null &&
+            entry.type === "data" &&
+            entry.direction === "out"
+        ) {
+            this._dataOffset += data.byteLength;
+            if (this._dataOffset > entry.size) {
+                throw new ReplayError(
+                    `Sent more than the expected ${entry.size} bytes of data`
+                );
+            } else if (this._dataOffset === entry.size) {
+                this._position += 1;
+                this._dataOffset = 0;
+            }
+            return;
+        }
+
+        let command = new TextDecoder().decode(data);
+        if (
+            entry === null ||
+            entry.type !== "command" ||
+            entry.command !== command
+        ) {
+            throw new ReplayError(
+                `Expected ${this._describe(entry)}, but got command ${command}`
+            );
+        }
+        this._position += 1;
+    }
+
+    async read(length: number) {
+        let entry = this._nextEntry();
+        if (
+            entry !== null &&
+            entry.type === "data" &&
+            entry.direction === "in"
+        ) {
+            let size = Math.min(length, entry.size - this._dataOffset);
+            this._dataOffset += size;
+            if (this._dataOffset === entry.size) {
+                this._position += 1;
+                this._dataOffset = 0;
+            }
+            return new ArrayBuffer(size);
+        }
+
+        if (entry === null || entry.type !== "response") {
+            throw new ReplayError(
+                `Expected ${this._describe(entry)}, but a response was read`
+            );
+        }
+        this._position += 1;
+        let packet = new TextEncoder().encode(entry.status + entry.message);
+        return packet.buffer.slice(0, Math.min(length, packet.byteLength));
+    }
+}
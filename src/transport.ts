@@ -0,0 +1,379 @@
+import * as common from "./common";
+import type { ReconnectCallback } from "./fastboot";
+
+const FASTBOOT_USB_CLASS = 0xff;
+const FASTBOOT_USB_SUBCLASS = 0x42;
+const FASTBOOT_USB_PROTOCOL = 0x03;
+
+/**
+ * Exception class for USB errors not directly thrown by WebUSB.
+ */
+export class UsbError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = "UsbError";
+    }
+}
+
+/**
+ * Interface for the link that fastboot packets are exchanged over. The
+ * protocol layer in {@link FastbootDevice} only deals with whole packets, so
+ * any channel that can carry them (WebUSB, Node USB bindings, TCP, or a
+ * simulated bootloader) can be used by implementing this interface.
+ *
+ * @interface FastbootTransport
+ */
+export interface FastbootTransport {
+    /** Whether the transport is connected and ready for use. */
+    readonly isConnected: boolean;
+
+    /**
+     * Serial number of the device, if the transport can identify it. Such
+     * transports only reconnect to the same device.
+     */
+    readonly serialNumber?: string | null;
+
+    /**
+     * Open the connection to the device, requesting one from the user if
+     * necessary.
+     */
+    connect(): Promise<void>;
+
+    /**
+     * Wait for the device to disconnect, if it's still connected.
+     * Returns immediately if no device is connected.
+     */
+    waitForDisconnect(): Promise<void>;
+
+    /**
+     * Wait for the device to connect again, e.g. after a reboot.
+     *
+     * @param {ReconnectCallback} onReconnect - Callback to request device reconnection.
+     */
+    waitForConnect(onReconnect: ReconnectCallback): Promise<void>;
+
+    /**
+     * Send a single packet to the device.
+     *
+     * @param {ArrayBuffer} data - Packet data to send.
+     */
+    write(data: ArrayBuffer): Promise<void>;
+
+    /**
+     * Receive a single packet from the device.
+     *
+     * @param {number} length - Maximum number of bytes to receive.
+     * @returns {Promise<ArrayBuffer>} Data of the received packet.
+     */
+    read(length: number): Promise<ArrayBuffer>;
+}
+
+/**
+ * Options for selecting the USB device of a {@link UsbTransport}.
+ *
+ * @typedef {Object} UsbTransportOptions
+ * @property {USBDevice} device - Paired USB device to use, instead of selecting one when connecting.
+ * @property {string} serialNumber - Serial number of the device to use. Defaults to the serial number of the selected device.
+ */
+export interface UsbTransportOptions {
+    device?: USBDevice;
+    serialNumber?: string;
+}
+
+/**
+ * Check whether a USB device has a fastboot interface.
+ *
+ * @param {USBDevice} device - USB device to check.
+ * @returns {boolean} Whether the device is in fastboot mode.
+ * @ignore
+ */
+export function isFastbootDevice(device: USBDevice) {
+    return device.configurations.some((config) =>
+        config.interfaces.some((ife) =>
+            ife.alternates.some(
+                (alt) =>
+                    alt.interfaceClass === FASTBOOT_USB_CLASS &&
+                    alt.interfaceSubclass === FASTBOOT_USB_SUBCLASS &&
+                    alt.interfaceProtocol === FASTBOOT_USB_PROTOCOL
+            )
+        )
+    );
+}
+
+/**
+ * Request the user to select a USB device in fastboot mode.
+ *
+ * @param {string} serialNumber - Serial number of the device to offer, if any.
+ * @returns {Promise<USBDevice>} The selected device.
+ * @ignore
+ */
+export async function requestFastbootDevice(
+    serialNumber: string | null = null
+) {
+    return await navigator.usb.requestDevice({
+        filters: [
+            {
+                classCode: FASTBOOT_USB_CLASS,
+                subclassCode: FASTBOOT_USB_SUBCLASS,
+                protocolCode: FASTBOOT_USB_PROTOCOL,
+                ...(serialNumber !== null
+                    ? { serialNumber: serialNumber }
+                    : {}),
+            },
+        ],
+    });
+}
+
+/**
+ * Transport for devices connected over USB, using the WebUSB API.
+ * This is the default transport used by {@link FastbootDevice}.
+ *
+ * The transport is bound to the serial number of the first device it connects
+ * to, so it only reconnects to the same device, e.g. after a reboot, even if
+ * other devices are connected.
+ */
+export class UsbTransport implements FastbootTransport {
+    device: USBDevice | null;
+    serialNumber: string | null;
+    epIn: number | null;
+    epOut: number | null;
+
+    private _registeredUsbListeners: boolean;
+    private _connectResolve: ((value: any) => void) | null;
+    private _connectReject: ((err: Error) => void) | null;
+    private _disconnectResolve: ((value: any) => void) | null;
+
+    /**
+     * Create a new WebUSB transport. This doesn't actually connect to any USB
+     * devices; call {@link connect} to do so.
+     *
+     * @param {UsbTransportOptions} options - Options for selecting the device.
+     */
+    constructor(options: UsbTransportOptions = {}) {
+        this.device = options.device ?? null;
+        this.serialNumber =
+            options.serialNumber ?? options.device?.serialNumber ?? null;
+        this.epIn = null;
+        this.epOut = null;
+
+        this._registeredUsbListeners = false;
+        this._connectResolve = null;
+        this._connectReject = null;
+        this._disconnectResolve = null;
+    }
+
+    /**
+     * Returns whether a USB device is connected and ready for use.
+     */
+    get isConnected() {
+        return (
+            this.device !== null &&
+            this.device.opened &&
+            this.device.configurations[0].interfaces[0].claimed
+        );
+    }
+
+    /**
+     * Validate the current USB device's details and connect to it.
+     *
+     * @private
+     */
+    private async _validateAndConnectDevice() {
+        if (this.device === null) {
+            throw new UsbError("Attempted to connect to null device");
+        }
+
+        // Validate device
+        let ife = this.device!.configurations[0].interfaces[0].alternates[0];
+        if (ife.endpoints.length !== 2) {
+            throw new UsbError("Interface has wrong number of endpoints");
+        }
+
+        this.epIn = null;
+        this.epOut = null;
+        for (let endpoint of ife.endpoints) {
+            common.logVerbose("Checking endpoint:", endpoint);
+            if (endpoint.type !== "bulk") {
+                throw new UsbError("Interface endpoint is not bulk");
+            }
+
+            if (endpoint.direction === "in") {
+                if (this.epIn === null) {
+                    this.epIn = endpoint.endpointNumber;
+                } else {
+                    throw new UsbError("Interface has multiple IN endpoints");
+                }
+            } else if (endpoint.direction === "out") {
+                if (this.epOut === null) {
+                    this.epOut = endpoint.endpointNumber;
+                } else {
+                    throw new UsbError("Interface has multiple OUT endpoints");
+                }
+            }
+        }
+        common.logVerbose("Endpoints: in =", this.epIn, ", out =", this.epOut);
+
+        try {
+            await this.device!.open();
+            // Opportunistically reset to fix issues on some platforms
+            try {
+                await this.device!.reset();
+            } catch (error) {
+                /* Failed = doesn't support reset */
+            }
+
+            await this.device!.selectConfiguration(1);
+            await this.device!.claimInterface(0); // fastboot
+        } catch (error) {
+            // Propagate exception from waitForConnect()
+            if (this._connectReject !== null) {
+                this._connectReject(error as Error);
+                this._connectResolve = null;
+                this._connectReject = null;
+            }
+
+            throw error;
+        }
+
+        // Return from waitForConnect()
+        if (this._connectResolve !== null) {
+            this._connectResolve(undefined);
+            this._connectResolve = null;
+            this._connectReject = null;
+        }
+    }
+
+    async waitForDisconnect() {
+        if (this.device === null) {
+            return;
+        }
+
+        return await new Promise<void>((resolve, _reject) => {
+            this._disconnectResolve = resolve;
+        });
+    }
+
+    /**
+     * Wait for the USB device to connect. Returns at the next connection of a
+     * device with the same serial number. Devices without serial numbers can't
+     * be told apart, so any device is accepted for them.
+     *
+     * @param {ReconnectCallback} onReconnect - Callback to request device reconnection on Android.
+     */
+    async waitForConnect(onReconnect: ReconnectCallback = () => {}) {
+        // On Android, we need to request the user to reconnect the device manually
+        // because there is no support for automatic reconnection.
+        if (navigator.userAgent.includes("Android")) {
+            await this.waitForDisconnect();
+            onReconnect();
+        }
+
+        return await new Promise<void>((resolve, reject) => {
+            this._connectResolve = resolve;
+            this._connectReject = reject;
+        });
+    }
+
+    /**
+     * Request the user to select a USB device and connect to it.
+     *
+     * @throws {UsbError}
+     */
+    async connect() {
+        let devices = await navigator.usb.getDevices();
+        common.logDebug("Found paired USB devices:", devices);
+        if (this.serialNumber !== null) {
+            devices = devices.filter((d) => this.matchesDevice(d));
+        }
+
+        if (this.device !== null && devices.includes(this.device)) {
+            // Keep the given or previous device while it's still connected
+            devices = [this.device];
+        }
+
+        if (devices.length === 1) {
+            this.device = devices[0];
+        } else {
+            // If multiple paired devices are connected, request the user to
+            // select a specific one to reduce ambiguity. This is also necessary
+            // if no devices are already paired, i.e. first use.
+            common.logDebug(
+                "No or multiple paired devices are connected, requesting one"
+            );
+            this.device = await requestFastbootDevice(this.serialNumber);
+        }
+        common.logDebug("Using USB device:", this.device);
+        if (this.serialNumber === null) {
+            this.serialNumber = this.device.serialNumber || null;
+        }
+
+        if (!this._registeredUsbListeners) {
+            navigator.usb.addEventListener("disconnect", (event) => {
+                if (event.device === this.device) {
+                    common.logDebug("USB device disconnected");
+                    if (this._disconnectResolve !== null) {
+                        this._disconnectResolve(undefined);
+                        this._disconnectResolve = null;
+                    }
+                }
+            });
+
+            navigator.usb.addEventListener("connect", async (event) => {
+                // Other devices may be connected to other transports
+                if (!this.matchesDevice(event.device)) {
+                    common.logDebug(
+                        "Ignoring other USB device:",
+                        event.device.serialNumber
+                    );
+                    return;
+                }
+
+                common.logDebug("USB device connected");
+                this.device = event.device;
+
+                // Check whether waitForConnect() is pending and save it for later
+                let hasPromiseReject = this._connectReject !== null;
+                try {
+                    await this._validateAndConnectDevice();
+                } catch (error) {
+                    // Only rethrow errors from the event handler if waitForConnect()
+                    // didn't already handle them
+                    if (!hasPromiseReject) {
+                        throw error;
+                    }
+                }
+            });
+
+            this._registeredUsbListeners = true;
+        }
+
+        await this._validateAndConnectDevice();
+    }
+
+    /**
+     * Check whether a USB device is the device of this transport.
+     *
+     * @param {USBDevice} device - USB device to check.
+     * @returns {boolean} Whether the serial number matches, or true if the transport isn't bound to one.
+     */
+    matchesDevice(device: USBDevice) {
+        return (
+            this.serialNumber === null ||
+            device.serialNumber === this.serialNumber
+        );
+    }
+
+    async write(data: ArrayBuffer) {
+        await this.device!.transferOut(this.epOut!, data);
+    }
+
+    async read(length: number) {
+        let result = await this.device!.transferIn(this.epIn!, length);
+        // Copy the packet, as the view's buffer may be shared
+        return new Uint8Array(
+            result.data!.buffer,
+            result.data!.byteOffset,
+            result.data!.byteLength
+        ).slice().buffer;
+    }
+}
@@ -0,0 +1,477 @@
+import * as common from "./common";
+
+const VBMETA_MAGIC = "AVB0";
+const FOOTER_MAGIC = "AVBf";
+
+// Sizes of structures, from AOSP libavb
+const VBMETA_HEADER_SIZE = 256;
+const FOOTER_SIZE = 64;
+const DESCRIPTOR_HEADER_SIZE = 16;
+const HASH_ALGORITHM_SIZE = 32;
+const RELEASE_STRING_SIZE = 48;
+
+// Offset of the flags in the vbmeta header
+const FLAGS_OFFSET = 120;
+
+/**
+ * Flags in the vbmeta header. These are only honored by unlocked bootloaders.
+ *
+ * @enum {number}
+ */
+export enum VbmetaFlags {
+    /** Disable dm-verity, equivalent to `fastboot --disable-verity`. */
+    HashtreeDisabled = 1,
+    /** Disable verification entirely, equivalent to `fastboot --disable-verification`. */
+    VerificationDisabled = 2,
+}
+
+// Indexed by algorithm type
+const ALGORITHM_NAMES = [
+    "NONE",
+    "SHA256_RSA2048",
+    "SHA256_RSA4096",
+    "SHA256_RSA8192",
+    "SHA512_RSA2048",
+    "SHA512_RSA4096",
+    "SHA512_RSA8192",
+];
+
+enum DescriptorTag {
+    Property = 0,
+    Hashtree = 1,
+    Hash = 2,
+    KernelCmdline = 3,
+    ChainPartition = 4,
+}
+
+/**
+ * Exception class for invalid vbmeta images.
+ */
+export class VbmetaError extends Error {
+    constructor(message: string) {
+        super(message);
+        this.name = "VbmetaError";
+    }
+}
+
+/**
+ * Property descriptor, containing a key-value pair.
+ *
+ * @typedef {Object} PropertyDescriptor
+ * @property {string} type - Always `property`.
+ * @property {string} key - Name of the property.
+ * @property {string} value - Value of the property.
+ */
+export interface PropertyDescriptor {
+    type: "property";
+    key: string;
+    value: string;
+}
+
+/**
+ * Hashtree descriptor, describing a partition verified by dm-verity.
+ *
+ * @typedef {Object} HashtreeDescriptor
+ * @property {string} type - Always `hashtree`.
+ * @property {string} partitionName - Name of the partition, without slot suffix.
+ * @property {number} dmVerityVersion - Version of the dm-verity table.
+ * @property {number} imageSize - Size of the verified data in bytes.
+ * @property {number} treeOffset - Offset of the hash tree in the partition.
+ * @property {number} treeSize - Size of the hash tree in bytes.
+ * @property {number} dataBlockSize - Data block size in bytes.
+ * @property {number} hashBlockSize - Hash block size in bytes.
+ * @property {number} fecNumRoots - Number of forward error correction roots, 0 if FEC is unused.
+ * @property {number} fecOffset - Offset of the FEC data in the partition.
+ * @property {number} fecSize - Size of the FEC data in bytes.
+ * @property {string} hashAlgorithm - Hash algorithm, e.g. sha256.
+ * @property {string} salt - Salt as a hex string.
+ * @property {string} rootDigest - Root digest of the hash tree as a hex string.
+ * @property {number} flags - Descriptor flags.
+ */
+export interface HashtreeDescriptor {
+    type: "hashtree";
+    partitionName: string;
+    dmVerityVersion: number;
+    imageSize: number;
+    treeOffset: number;
+    treeSize: number;
+    dataBlockSize: number;
+    hashBlockSize: number;
+    fecNumRoots: number;
+    fecOffset: number;
+    fecSize: number;
+    hashAlgorithm: string;
+    salt: string;
+    rootDigest: string;
+    flags: number;
+}
+
+/**
+ * Hash descriptor, describing a partition verified as a whole, e.g. boot.
+ *
+ * @typedef {Object} HashDescriptor
+ * @property {string} type - Always `hash`.
+ * @property {string} partitionName - Name of the partition, without slot suffix.
+ * @property {number} imageSize - Size of the verified data in bytes.
+ * @property {string} hashAlgorithm - Hash algorithm, e.g. sha256.
+ * @property {string} salt - Salt as a hex string.
+ * @property {string} digest - Digest of the salt and data as a hex string.
+ * @property {number} flags - Descriptor flags.
+ */
+export interface HashDescriptor {
+    type: "hash";
+    partitionName: string;
+    imageSize: number;
+    hashAlgorithm: string;
+    salt: string;
+    digest: string;
+    flags: number;
+}
+
+/**
+ * Kernel command line descriptor, with arguments to add to the command line.
+ *
+ * @typedef {Object} KernelCmdlineDescriptor
+ * @property {string} type - Always `kernel_cmdline`.
+ * @property {string} cmdline - Kernel command line arguments.
+ * @property {number} flags - Conditions for using the arguments, depending on whether verity is disabled.
+ */
+export interface KernelCmdlineDescriptor {
+    type: "kernel_cmdline";
+    cmdline: string;
+    flags: number;
+}
+
+/**
+ * Chain partition descriptor, delegating verification of a partition to its
+ * own vbmeta signed with the given key.
+ *
+ * @typedef {Object} ChainPartitionDescriptor
+ * @property {string} type - Always `chain_partition`.
+ * @property {string} partitionName - Name of the partition, without slot suffix.
+ * @property {number} rollbackIndexLocation - Rollback index location used by the partition.
+ * @property {Uint8Array} publicKey - Public key the partition's vbmeta must be signed with.
+ * @property {number} flags - Descriptor flags.
+ */
+export interface ChainPartitionDescriptor {
+    type: "chain_partition";
+    partitionName: string;
+    rollbackIndexLocation: number;
+    publicKey: Uint8Array;
+    flags: number;
+}
+
+/**
+ * Descriptor with an unknown tag.
+ *
+ * @typedef {Object} UnknownDescriptor
+ * @property {string} type - Always `unknown`.
+ * @property {number} tag - Tag of the descriptor.
+ * @property {Uint8Array} data - Data of the descriptor.
+ */
+export interface UnknownDescriptor {
+    type: "unknown";
+    tag: number;
+    data: Uint8Array;
+}
+
+export type VbmetaDescriptor =
+    | PropertyDescriptor
+    | HashtreeDescriptor
+    | HashDescriptor
+    | KernelCmdlineDescriptor
+    | ChainPartitionDescriptor
+    | UnknownDescriptor;
+
+/**
+ * Parsed contents of an AVB vbmeta image.
+ *
+ * @typedef {Object} VbmetaImage
+ * @property {string} requiredLibavbVersion - Minimum libavb version required to verify the image.
+ * @property {string} algorithm - Signing algorithm, e.g. SHA256_RSA4096, or NONE for unsigned images.
+ * @property {number} rollbackIndex - Rollback index of the image.
+ * @property {number} rollbackIndexLocation - Location the rollback index is stored in.
+ * @property {number} flags - Header flags, see {@link VbmetaFlags}.
+ * @property {string} releaseString - Release string of the avbtool that created the image.
+ * @property {Uint8Array} publicKey - Public key the image is signed with, in AVB format like avb_pkmd.bin. Empty for unsigned images.
+ * @property {Uint8Array} publicKeyMetadata - Public key metadata, if any.
+ * @property {VbmetaDescriptor[]} descriptors - Descriptors contained in the image.
+ * @property {number} offset - Offset of the vbmeta data in the given image, non-zero for images with an AVB footer.
+ */
+export interface VbmetaImage {
+    requiredLibavbVersion: string;
+    algorithm: string;
+    rollbackIndex: number;
+    rollbackIndexLocation: number;
+    flags: number;
+    releaseString: string;
+    publicKey: Uint8Array;
+    publicKeyMetadata: Uint8Array;
+    descriptors: Array<VbmetaDescriptor>;
+    offset: number;
+}
+
+function readU64(view: DataView, offset: number) {
+    return Number(view.getBigUint64(offset, false));
+}
+
+function readString(bytes: Uint8Array) {
+    let end = bytes.indexOf(0);
+    return new TextDecoder().decode(
+        end === -1 ? bytes : bytes.subarray(0, end)
+    );
+}
+
+function toHex(bytes: Uint8Array) {
+    return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Returns the given section of a block, checking that it's in bounds
+function slice(block: Uint8Array, offset: number, size: number, name: string) {
+    if (offset + size > block.length) {
+        throw new VbmetaError(`${name} is out of bounds`);
+    }
+    return block.slice(offset, offset + size);
+}
+
+/**
+ * Find the vbmeta data in an image, which is either a vbmeta image or a
+ * partition image with an AVB footer, e.g. boot.
+ *
+ * @private
+ */
+async function findVbmeta(blob: Blob) {
+    let magic = new Uint8Array(
+        await common.readBlobAsBuffer(blob.slice(0, VBMETA_MAGIC.length))
+    );
+    if (readString(magic) === VBMETA_MAGIC) {
+        return 0;
+    }
+
+    if (blob.size >= FOOTER_SIZE) {
+        let footer = await common.readBlobAsBuffer(
+            blob.slice(blob.size - FOOTER_SIZE)
+        );
+        let view = new DataView(footer);
+        if (readString(new Uint8Array(footer, 0, 4)) === FOOTER_MAGIC) {
+            return readU64(view, 20);
+        }
+    }
+
+    throw new VbmetaError("Image doesn't contain vbmeta data");
+}
+
+function parseDescriptor(tag: number, data: Uint8Array): VbmetaDescriptor {
+    let view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    switch (tag) {
+        case DescriptorTag.Property: {
+            let keySize = readU64(view, 0);
+            let valueSize = readU64(view, 8);
+            return {
+                type: "property",
+                key: readString(slice(data, 16, keySize, "Property key")),
+                value: readString(
+                    slice(data, 16 + keySize + 1, valueSize, "Property value")
+                ),
+            };
+        }
+        case DescriptorTag.Hashtree: {
+            let nameSize = view.getUint32(88, false);
+            let saltSize = view.getUint32(92, false);
+            let digestSize = view.getUint32(96, false);
+            let offset = 164;
+            return {
+                type: "hashtree",
+                dmVerityVersion: view.getUint32(0, false),
+                imageSize: readU64(view, 4),
+                treeOffset: readU64(view, 12),
+                treeSize: readU64(view, 20),
+                dataBlockSize: view.getUint32(28, false),
+                hashBlockSize: view.getUint32(32, false),
+                fecNumRoots: view.getUint32(36, false),
+                fecOffset: readU64(view, 40),
+                fecSize: readU64(view, 48),
+                hashAlgorithm: readString(
+                    data.subarray(56, 56 + HASH_ALGORITHM_SIZE)
+                ),
+                flags: view.getUint32(100, false),
+                partitionName: readString(
+                    slice(data, offset, nameSize, "Partition name")
+                ),
+                salt: toHex(slice(data, offset + nameSize, saltSize, "Salt")),
+                rootDigest: toHex(
+                    slice(
+                        data,
+                        offset + nameSize + saltSize,
+                        digestSize,
+                        "Root digest"
+                    )
+                ),
+            };
+        }
+        case DescriptorTag.Hash: {
+            let nameSize = view.getUint32(40, false);
+            let saltSize = view.getUint32(44, false);
+            let digestSize = view.getUint32(48, false);
+            let offset = 116;
+            return {
+                type: "hash",
+                imageSize: readU64(view, 0),
+                hashAlgorithm: readString(
+                    data.subarray(8, 8 + HASH_ALGORITHM_SIZE)
+                ),
+                flags: view.getUint32(52, false),
+                partitionName: readString(
+                    slice(data, offset, nameSize, "Partition name")
+                ),
+                salt: toHex(slice(data, offset + nameSize, saltSize, "Salt")),
+                digest: toHex(
+                    slice(
+                        data,
+                        offset + nameSize + saltSize,
+                        digestSize,
+                        "Digest"
+                    )
+                ),
+            };
+        }
+        case DescriptorTag.KernelCmdline:
+            return {
+                type: "kernel_cmdline",
+                flags: view.getUint32(0, false),
+                cmdline: readString(
+                    slice(data, 8, view.getUint32(4, false), "Kernel cmdline")
+                ),
+            };
+        case DescriptorTag.ChainPartition: {
+            let nameSize = view.getUint32(4, false);
+            let keySize = view.getUint32(8, false);
+            let offset = 76;
+            return {
+                type: "chain_partition",
+                rollbackIndexLocation: view.getUint32(0, false),
+                flags: view.getUint32(12, false),
+                partitionName: readString(
+                    slice(data, offset, nameSize, "Partition name")
+                ),
+                publicKey: slice(
+                    data,
+                    offset + nameSize,
+                    keySize,
+                    "Public key"
+                ),
+            };
+        }
+        default:
+            return {
+                type: "unknown",
+                tag: tag,
+                data: data.slice(),
+            };
+    }
+}
+
+/**
+ * Parse an AVB vbmeta image, or the vbmeta data of a partition image with an
+ * AVB footer. The signature isn't verified.
+ *
+ * @param {Blob} blob - Blob containing the image.
+ * @returns {Promise<VbmetaImage>} Parsed vbmeta image.
+ * @throws {VbmetaError}
+ */
+export async function parseVbmeta(blob: Blob): Promise<VbmetaImage> {
+    let offset = await findVbmeta(blob);
+    let header = await common.readBlobAsBuffer(
+        blob.slice(offset, offset + VBMETA_HEADER_SIZE)
+    );
+    if (header.byteLength < VBMETA_HEADER_SIZE) {
+        throw new VbmetaError("vbmeta header is truncated");
+    }
+
+    let view = new DataView(header);
+    let headerBytes = new Uint8Array(header);
+    if (readString(headerBytes.subarray(0, 4)) !== VBMETA_MAGIC) {
+        throw new VbmetaError("Invalid vbmeta magic");
+    }
+
+    let authSize = readU64(view, 12);
+    let auxSize = readU64(view, 20);
+    let auxStart = offset + VBMETA_HEADER_SIZE + authSize;
+    let aux = new Uint8Array(
+        await common.readBlobAsBuffer(blob.slice(auxStart, auxStart + auxSize))
+    );
+    if (aux.length < auxSize) {
+        throw new VbmetaError("vbmeta auxiliary data is truncated");
+    }
+
+    let algorithmType = view.getUint32(28, false);
+    let descriptorData = slice(
+        aux,
+        readU64(view, 96),
+        readU64(view, 104),
+        "Descriptors"
+    );
+    let descriptorView = new DataView(descriptorData.buffer);
+    let descriptors: Array<VbmetaDescriptor> = [];
+    let pos = 0;
+    while (pos + DESCRIPTOR_HEADER_SIZE <= descriptorData.length) {
+        let tag = readU64(descriptorView, pos);
+        let size = readU64(descriptorView, pos + 8);
+        pos += DESCRIPTOR_HEADER_SIZE;
+        descriptors.push(
+            parseDescriptor(tag, slice(descriptorData, pos, size, "Descriptor"))
+        );
+        pos += size;
+    }
+
+    return {
+        requiredLibavbVersion: `${view.getUint32(4, false)}.${view.getUint32(
+            8,
+            false
+        )}`,
+        algorithm: ALGORITHM_NAMES[algorithmType] ?? `UNKNOWN_${algorithmType}`,
+        rollbackIndex: readU64(view, 112),
+        rollbackIndexLocation: view.getUint32(124, false),
+        flags: view.getUint32(FLAGS_OFFSET, false),
+        releaseString: readString(
+            headerBytes.subarray(128, 128 + RELEASE_STRING_SIZE)
+        ),
+        publicKey: slice(
+            aux,
+            readU64(view, 64),
+            readU64(view, 72),
+            "Public key"
+        ),
+        publicKeyMetadata: slice(
+            aux,
+            readU64(view, 80),
+            readU64(view, 88),
+            "Public key metadata"
+        ),
+        descriptors: descriptors,
+        offset: offset,
+    };
+}
+
+/**
+ * Replace the flags in the header of a vbmeta image, or of the vbmeta data in
+ * an image with an AVB footer. This invalidates the signature, so bootloaders
+ * only accept the result while unlocked, as with AOSP fastboot's
+ * `--disable-verity` and `--disable-verification`.
+ *
+ * @param {Blob} blob - Blob containing the image.
+ * @param {number} flags - New flags, see {@link VbmetaFlags}.
+ * @returns {Promise<Blob>} Blob containing the patched image.
+ * @throws {VbmetaError}
+ */
+export async function setVbmetaFlags(blob: Blob, flags: number) {
+    let offset = await findVbmeta(blob);
+    let buffer = new ArrayBuffer(4);
+    new DataView(buffer).setUint32(0, flags, false);
+
+    return new Blob([
+        blob.slice(0, offset + FLAGS_OFFSET),
+        buffer,
+        blob.slice(offset + FLAGS_OFFSET + 4),
+    ]);
+}
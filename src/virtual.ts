@@ -0,0 +1,914 @@
+import * as Sparse from "./sparse";
+import * as common from "./common";
+import type { ReconnectCallback } from "./fastboot";
+import { FastbootTransport, UsbError } from "./transport";
+
+const DEFAULT_MAX_DOWNLOAD_SIZE = 256 * 1024 * 1024; // 256 MiB
+const DEFAULT_REBOOT_DELAY = 10; // ms
+// Size of the packets that data is sent to the host in
+const DATA_PACKET_SIZE = 64 * 1024;
+
+/**
+ * Description of a partition on a {@link VirtualBootloader}.
+ *
+ * @typedef {Object} VirtualPartitionOptions
+ * @property {number} size - Size of the partition in bytes.
+ * @property {string} type - Partition type reported by getvar, e.g. raw or ext4.
+ * @property {boolean} hasSlot - Whether the partition has _a and _b copies.
+ * @property {boolean} isLogical - Whether the partition lives in super and is only visible in fastbootd.
+ */
+export interface VirtualPartitionOptions {
+    size: number;
+    type?: string;
+    hasSlot?: boolean;
+    isLogical?: boolean;
+}
+
+/**
+ * Initial state of a {@link VirtualBootloader}.
+ *
+ * @typedef {Object} VirtualBootloaderOptions
+ * @property {string} product - Value of the product variable.
+ * @property {string} serialNumber - Value of the serialno variable.
+ * @property {Object} partitions - Partitions on the device, keyed by name without slot suffix.
+ * @property {Object} variables - Extra variables, overriding the built-in ones.
+ * @property {string} currentSlot - Initially active slot, if any partitions have slots.
+ * @property {boolean} userspace - Whether to start in fastbootd instead of the bootloader.
+ * @property {number} maxDownloadSize - Maximum payload size accepted by download.
+ * @property {number} maxFetchSize - Maximum size of a single fetch in fastbootd.
+ * @property {number} rebootDelay - Time between disconnecting and reconnecting on reboot, in milliseconds.
+ */
+export interface VirtualBootloaderOptions {
+    product?: string;
+    serialNumber?: string;
+    partitions?: { [name: string]: VirtualPartitionOptions };
+    variables?: { [name: string]: string };
+    currentSlot?: string;
+    userspace?: boolean;
+    maxDownloadSize?: number;
+    maxFetchSize?: number;
+    rebootDelay?: number;
+}
+
+/**
+ * Custom handler for commands received by a {@link VirtualBootloader}.
+ * Return raw response packets (e.g. `["INFOhello", "OKAY"]`) to handle the
+ * command, or undefined to fall back to the built-in behavior. Binary packets
+ * can be included as Uint8Arrays, e.g. for a DATA phase.
+ *
+ * @callback VirtualCommandHandler
+ * @param {string} command - The raw command received from the host.
+ * @param {VirtualBootloader} bootloader - The bootloader that received it.
+ * @returns {Array<string | Uint8Array> | undefined} Response packets to send.
+ */
+export type VirtualCommandHandler = (
+    command: string,
+    bootloader: VirtualBootloader
+) => Array<string | Uint8Array> | undefined;
+
+interface VirtualPartition {
+    size: number;
+    type: string;
+    isLogical: boolean;
+    data: Uint8Array | null; // allocated on first write
+}
+
+interface PendingRead {
+    resolve: (packet: ArrayBuffer) => void;
+    reject: (error: Error) => void;
+}
+
+function parseHexSize(value: string) {
+    let size = parseInt(value, 16);
+    return isNaN(size) ? null : size;
+}
+
+/**
+ * A scriptable, in-memory model of a fastboot bootloader and fastbootd.
+ * It implements enough of the protocol (getvar, download, flash, erase,
+ * reboots, slots, and logical partition management) to exercise every
+ * flashing path of {@link FastbootDevice} without real hardware, and it
+ * records the commands and images it receives so that they can be inspected
+ * afterwards. Connect to it with a {@link VirtualTransport}.
+ */
+export class VirtualBootloader {
+    product: string;
+    serialNumber: string;
+    variables: Map<string, string>;
+    currentSlot: string | null;
+    userspace: boolean;
+    connected: boolean;
+    maxDownloadSize: number;
+    maxFetchSize: number;
+    rebootDelay: number;
+    snapshotUpdateStatus: string;
+
+    /** All commands received from the host, in order. */
+    commands: Array<string>;
+    /** Partitions written by flash commands, in order. */
+    flashed: Array<string>;
+    /** Image booted by the last boot command, if any. */
+    booted: Uint8Array | null;
+
+    private _partitions: Map<string, VirtualPartition>;
+    private _slottedPartitions: Set<string>;
+    private _slotState: Map<
+        string,
+        { successful: boolean; unbootable: boolean }
+    >;
+    private _handlers: Array<VirtualCommandHandler>;
+    private _queue: Array<ArrayBuffer>;
+    private _pendingReads: Array<PendingRead>;
+    private _connectionListeners: Set<(connected: boolean) => void>;
+
+    private _download: Uint8Array | null;
+    private _downloadReceived: number;
+    private _receiving: boolean;
+
+    /**
+     * Create a new virtual bootloader. It starts out connected.
+     *
+     * @param {VirtualBootloaderOptions} options - Initial state of the device.
+     */
+    constructor(options: VirtualBootloaderOptions = {}) {
+        this.product = options.product ?? "virtual";
+        this.serialNumber = options.serialNumber ?? "VIRTUAL0001";
+        this.variables = new Map(Object.entries(options.variables ?? {}));
+        this.userspace = options.userspace ?? false;
+        this.connected = true;
+        this.maxDownloadSize =
+            options.maxDownloadSize ?? DEFAULT_MAX_DOWNLOAD_SIZE;
+        this.maxFetchSize = options.maxFetchSize ?? this.maxDownloadSize;
+        this.rebootDelay = options.rebootDelay ?? DEFAULT_REBOOT_DELAY;
+        this.snapshotUpdateStatus = "none";
+
+        this.commands = [];
+        this.flashed = [];
+        this.booted = null;
+
+        this._partitions = new Map();
+        this._slottedPartitions = new Set();
+        this._slotState = new Map();
+        this._handlers = [];
+        this._queue = [];
+        this._pendingReads = [];
+        this._connectionListeners = new Set();
+
+        this._download = null;
+        this._downloadReceived = 0;
+        this._receiving = false;
+
+        for (let [name, partition] of Object.entries(
+            options.partitions ?? {}
+        )) {
+            this.addPartition(name, partition);
+        }
+
+        this.currentSlot =
+            this._slottedPartitions.size > 0
+                ? options.currentSlot ?? "a"
+                : null;
+        for (let slot of ["a", "b"]) {
+            this._slotState.set(slot, { successful: true, unbootable: false });
+        }
+    }
+
+    /**
+     * Add a partition to the device. Partitions with slots get both an _a and
+     * a _b copy.
+     *
+     * @param {string} name - Name of the partition, without slot suffix.
+     * @param {VirtualPartitionOptions} options - Size and type of the partition.
+     */
+    addPartition(name: string, options: VirtualPartitionOptions) {
+        let names = [name];
+        if (options.hasSlot) {
+            this._slottedPartitions.add(name);
+            names = [`${name}_a`, `${name}_b`];
+        }
+
+        for (let fullName of names) {
+            this._partitions.set(fullName, {
+                size: options.size,
+                type: options.type ?? "raw",
+                isLogical: options.isLogical ?? false,
+                data: null,
+            });
+        }
+    }
+
+    /**
+     * Register a custom command handler, e.g. to inject failures or support
+     * OEM commands. Handlers are tried in order of registration.
+     *
+     * @param {VirtualCommandHandler} handler - Handler to register.
+     */
+    addCommandHandler(handler: VirtualCommandHandler) {
+        this._handlers.push(handler);
+    }
+
+    /**
+     * Stage data to be sent to the host by the next upload command, as an OEM
+     * command that dumps data would.
+     *
+     * @param {Uint8Array} data - Data to stage.
+     */
+    stage(data: Uint8Array) {
+        this._download = data;
+    }
+
+    /**
+     * Get the current contents of a partition. Unwritten data reads as zeros.
+     *
+     * @param {string} name - Full name of the partition, including slot suffix.
+     * @returns {Uint8Array} Contents of the partition.
+     */
+    readPartition(name: string): Uint8Array {
+        let partition = this._findPartition(name);
+        if (partition === null) {
+            throw new Error(`Partition ${name} does not exist`);
+        }
+
+        return partition.data ?? new Uint8Array(partition.size);
+    }
+
+    /**
+     * Register a listener for connection state changes.
+     *
+     * @param {Function} listener - Called with the new connection state.
+     */
+    addConnectionListener(listener: (connected: boolean) => void) {
+        this._connectionListeners.add(listener);
+    }
+
+    /**
+     * Unregister a listener added by {@link addConnectionListener}.
+     *
+     * @param {Function} listener - The listener to remove.
+     */
+    removeConnectionListener(listener: (connected: boolean) => void) {
+        this._connectionListeners.delete(listener);
+    }
+
+    /**
+     * Simulate the device dropping off the bus. Pending reads fail and any
+     * in-progress download is lost.
+     *
+     * @param {number} reconnectAfter - If set, reconnect after this many milliseconds.
+     */
+    disconnect(reconnectAfter?: number) {
+        if (!this.connected) {
+            return;
+        }
+
+        common.logDebug("Virtual device disconnected");
+        this.connected = false;
+        this._queue = [];
+        this._receiving = false;
+        this._download = null;
+        for (let read of this._pendingReads) {
+            read.reject(new UsbError("Device disconnected"));
+        }
+        this._pendingReads = [];
+        this._notifyConnection();
+
+        if (reconnectAfter !== undefined) {
+            setTimeout(() => this.reconnect(), reconnectAfter);
+        }
+    }
+
+    /**
+     * Simulate the device coming back after a disconnect.
+     */
+    reconnect() {
+        if (this.connected) {
+            return;
+        }
+
+        common.logDebug("Virtual device connected");
+        this.connected = true;
+        this._notifyConnection();
+    }
+
+    /**
+     * Process a packet sent by the host, queueing any responses.
+     *
+     * @param {ArrayBuffer} data - Packet data.
+     * @throws {UsbError}
+     */
+    handlePacket(data: ArrayBuffer) {
+        if (!this.connected) {
+            throw new UsbError("Device disconnected");
+        }
+
+        if (this._receiving) {
+            this._receiveData(new Uint8Array(data));
+            return;
+        }
+
+        let command = new TextDecoder().decode(data);
+        this.commands.push(command);
+        common.logVerbose("Virtual device received command:", command);
+        for (let response of this._handleCommand(command)) {
+            this._send(response);
+        }
+    }
+
+    /**
+     * Wait for the next packet that the device sends to the host.
+     *
+     * @returns {Promise<ArrayBuffer>} Data of the packet.
+     * @throws {UsbError}
+     */
+    readPacket(): Promise<ArrayBuffer> {
+        if (this._queue.length > 0) {
+            return Promise.resolve(this._queue.shift()!);
+        }
+        if (!this.connected) {
+            return Promise.reject(new UsbError("Device disconnected"));
+        }
+
+        return new Promise((resolve, reject) => {
+            this._pendingReads.push({ resolve, reject });
+        });
+    }
+
+    /**
+     * Get the value of a variable as the device would report it.
+     *
+     * @param {string} name - Name of the variable.
+     * @returns {string | null} Value of the variable, or null if it doesn't exist.
+     */
+    getVariable(name: string): string | null {
+        if (this.variables.has(name)) {
+            return this.variables.get(name)!;
+        }
+
+        let [base, arg] = name.split(/:(.*)/s);
+        switch (base) {
+            case "version":
+                return "0.4";
+            case "product":
+                return this.product;
+            case "serialno":
+                return this.serialNumber;
+            case "secure":
+                return "yes";
+            case "unlocked":
+                return "yes";
+            case "is-userspace":
+                return this.userspace ? "yes" : "no";
+            case "max-download-size":
+                return "0x" + this.maxDownloadSize.toString(16);
+            case "max-fetch-size":
+                return this.userspace
+                    ? "0x" + this.maxFetchSize.toString(16)
+                    : null;
+            case "super-partition-name":
+                return this.userspace ? "super" : null;
+            case "snapshot-update-status":
+                return this.snapshotUpdateStatus;
+            case "current-slot":
+                return this.currentSlot;
+            case "slot-count":
+                return this.currentSlot !== null ? "2" : null;
+        }
+
+        if (arg === undefined) {
+            return null;
+        }
+
+        if (base.startsWith("slot-") && this.currentSlot !== null) {
+            let state = this._slotState.get(arg);
+            if (state === undefined) {
+                return null;
+            } else if (base === "slot-successful") {
+                return state.successful ? "yes" : "no";
+            } else if (base === "slot-unbootable") {
+                return state.unbootable ? "yes" : "no";
+            } else if (base === "slot-retry-count") {
+                return state.successful ? "0" : "7";
+            }
+        }
+
+        if (base === "has-slot") {
+            let hasSlot = this._slottedPartitions.has(arg);
+            let partition = this._findPartition(
+                hasSlot ? `${arg}_${this.currentSlot}` : arg
+            );
+            if (partition === null) {
+                return null;
+            }
+            return hasSlot ? "yes" : "no";
+        }
+
+        let partition = this._findPartition(arg);
+        if (partition === null) {
+            return null;
+        }
+
+        switch (base) {
+            case "partition-size":
+                return "0x" + partition.size.toString(16);
+            case "partition-type":
+                return partition.type;
+            case "is-logical":
+                return partition.isLogical ? "yes" : "no";
+        }
+
+        return null;
+    }
+
+    private _notifyConnection() {
+        for (let listener of Array.from(this._connectionListeners)) {
+            listener(this.connected);
+        }
+    }
+
+    private _send(response: string | Uint8Array) {
+        let packet =
+            typeof response === "string"
+                ? new TextEncoder().encode(response).buffer
+                : response.slice().buffer;
+        let read = this._pendingReads.shift();
+        if (read !== undefined) {
+            read.resolve(packet);
+        } else {
+            this._queue.push(packet);
+        }
+    }
+
+    private _findPartition(name: string) {
+        let partition = this._partitions.get(name);
+        // Logical partitions are only visible to fastbootd
+        if (
+            partition === undefined ||
+            (partition.isLogical && !this.userspace)
+        ) {
+            return null;
+        }
+
+        return partition;
+    }
+
+    private _reboot(target: string) {
+        // Disconnect after the OKAY response has been read
+        setTimeout(() => {
+            this.disconnect();
+            if (target === "bootloader" || target === "fastboot") {
+                this.userspace = target === "fastboot";
+                setTimeout(() => this.reconnect(), this.rebootDelay);
+            }
+        }, 0);
+    }
+
+    private _receiveData(data: Uint8Array) {
+        let download = this._download!;
+        let length = Math.min(
+            data.byteLength,
+            download.byteLength - this._downloadReceived
+        );
+        download.set(data.subarray(0, length), this._downloadReceived);
+        this._downloadReceived += length;
+
+        if (this._downloadReceived === download.byteLength) {
+            this._receiving = false;
+            this._send("OKAY");
+        }
+    }
+
+    private _handleCommand(command: string): Array<string | Uint8Array> {
+        for (let handler of this._handlers) {
+            let responses = handler(command, this);
+            if (responses !== undefined) {
+                return responses;
+            }
+        }
+
+        let [name, ...args] = command.split(":");
+        switch (name) {
+            case "getvar":
+                return this._getvar(args.join(":"));
+            case "download":
+                return this._startDownload(args[0]);
+            case "upload":
+                if (this._download === null) {
+                    return ["FAILNo data staged"];
+                }
+                return this._sendData(this._download);
+            case "flash":
+                return this._flash(args[0]);
+            case "erase":
+                return this._erase(args[0]);
+            case "set_active":
+                return this._setActive(args[0]);
+            case "reboot":
+                this._reboot("system");
+                return ["OKAY"];
+            case "reboot-bootloader":
+                this._reboot("bootloader");
+                return ["OKAY"];
+            case "reboot-fastboot":
+                this._reboot("fastboot");
+                return ["OKAY"];
+            case "reboot-recovery":
+                this._reboot("recovery");
+                return ["OKAY"];
+            case "boot":
+            case "continue":
+                if (name === "boot") {
+                    if (this._download === null) {
+                        return ["FAILNo image downloaded"];
+                    }
+                    this.booted = this._download;
+                }
+                this._reboot("system");
+                return ["OKAY"];
+            case "snapshot-update":
+                if (args[0] !== "cancel" && args[0] !== "merge") {
+                    return ["FAILInvalid snapshot-update argument"];
+                }
+                this.snapshotUpdateStatus = "none";
+                return ["OKAY"];
+        }
+
+        // Logical partition management is only implemented by fastbootd
+        if (this.userspace) {
+            switch (name) {
+                case "fetch":
+                    return this._fetch(args[0], args[1], args[2]);
+                case "update-super":
+                    return this._updateSuper(args[0], args[1] === "wipe");
+                case "create-logical-partition":
+                    return this._createLogicalPartition(args[0], args[1]);
+                case "delete-logical-partition":
+                    return this._deleteLogicalPartition(args[0]);
+                case "resize-logical-partition":
+                    return this._resizeLogicalPartition(args[0], args[1]);
+            }
+        }
+
+        return ["FAILUnknown command"];
+    }
+
+    private _getvar(name: string) {
+        if (name === "all") {
+            let names = [
+                "version",
+                "product",
+                "serialno",
+                "secure",
+                "unlocked",
+                "is-userspace",
+                "max-download-size",
+                "max-fetch-size",
+                "super-partition-name",
+                "snapshot-update-status",
+                "current-slot",
+                "slot-count",
+            ];
+            if (this.currentSlot !== null) {
+                for (let slot of ["a", "b"]) {
+                    names.push(
+                        `slot-successful:${slot}`,
+                        `slot-unbootable:${slot}`,
+                        `slot-retry-count:${slot}`
+                    );
+                }
+            }
+            for (let partition of this._partitions.keys()) {
+                if (this._findPartition(partition) !== null) {
+                    names.push(
+                        `partition-size:${partition}`,
+                        `partition-type:${partition}`,
+                        `is-logical:${partition}`
+                    );
+                }
+            }
+            for (let partition of this._slottedPartitions) {
+                names.push(`has-slot:${partition}`);
+            }
+            names.push(...this.variables.keys());
+
+            let responses = [];
+            for (let varName of new Set(names)) {
+                let value = this.getVariable(varName);
+                if (value !== null) {
+                    responses.push(`INFO${varName}:${value}`);
+                }
+            }
+            responses.push("OKAY");
+            return responses;
+        }
+
+        let value = this.getVariable(name);
+        return value === null
+            ? ["FAILGetVar Variable Not found"]
+            : [`OKAY${value}`];
+    }
+
+    private _startDownload(sizeHex: string) {
+        let size = parseHexSize(sizeHex);
+        if (size === null || sizeHex.length !== 8) {
+            return ["FAILInvalid size"];
+        }
+        if (size > this.maxDownloadSize) {
+            return ["FAILdata too large"];
+        }
+
+        this._download = new Uint8Array(size);
+        this._downloadReceived = 0;
+        this._receiving = size > 0;
+        return size > 0 ? [`DATA${sizeHex}`] : [`DATA${sizeHex}`, "OKAY"];
+    }
+
+    private _sendData(data: Uint8Array) {
+        let sizeHex = data.byteLength.toString(16).padStart(8, "0");
+        let responses: Array<string | Uint8Array> = [`DATA${sizeHex}`];
+        for (let i = 0; i < data.byteLength; i += DATA_PACKET_SIZE) {
+            responses.push(data.slice(i, i + DATA_PACKET_SIZE));
+        }
+        responses.push("OKAY");
+        return responses;
+    }
+
+    private _fetch(name: string, offsetStr: string, sizeStr: string) {
+        let partition = this._findPartition(name);
+        if (partition === null) {
+            return ["FAILPartition not found"];
+        }
+
+        let offset = offsetStr !== undefined ? parseHexSize(offsetStr) : 0;
+        let size =
+            sizeStr !== undefined
+                ? parseHexSize(sizeStr)
+                : partition.size - (offset ?? 0);
+        if (
+            offset === null ||
+            size === null ||
+            offset + size > partition.size
+        ) {
+            return ["FAILInvalid fetch range"];
+        }
+        if (size > this.maxFetchSize) {
+            return ["FAILFetch size exceeds max-fetch-size"];
+        }
+
+        let data = partition.data ?? new Uint8Array(partition.size);
+        return this._sendData(data.slice(offset, offset + size));
+    }
+
+    private _flash(name: string) {
+        let partition = this._findPartition(name);
+        if (partition === null) {
+            return ["FAILPartition not found"];
+        }
+        if (this._download === null) {
+            return ["FAILNo image downloaded"];
+        }
+
+        let error = this._writeImage(partition, this._download);
+        if (error !== null) {
+            return [`FAIL${error}`];
+        }
+
+        this.flashed.push(name);
+        return ["OKAY"];
+    }
+
+    private _writeImage(partition: VirtualPartition, image: Uint8Array) {
+        if (partition.data === null) {
+            partition.data = new Uint8Array(partition.size);
+        }
+        let target = partition.data;
+
+        let header = null;
+        if (image.byteLength >= Sparse.FILE_HEADER_SIZE) {
+            try {
+                header = Sparse.parseFileHeader(
+                    image.slice(0, Sparse.FILE_HEADER_SIZE).buffer
+                );
+            } catch (error) {
+                return (error as Error).message;
+            }
+        }
+
+        // Raw image
+        if (header === null) {
+            if (image.byteLength > partition.size) {
+                return "Image too large for partition";
+            }
+            target.set(image);
+            return null;
+        }
+
+        if (header.blocks * header.blockSize > partition.size) {
+            return "Sparse image too large for partition";
+        }
+
+        // Sparse image: every split covers the whole partition, so the
+        // chunks are applied from the first block
+        let offset = Sparse.FILE_HEADER_SIZE;
+        let block = 0;
+        for (let i = 0; i < header.chunks; i++) {
+            let chunk = Sparse.parseChunkHeader(
+                image.slice(offset, offset + Sparse.CHUNK_HEADER_SIZE).buffer
+            );
+            offset += Sparse.CHUNK_HEADER_SIZE;
+
+            let start = block * header.blockSize;
+            let length = chunk.blocks * header.blockSize;
+            if (
+                offset + chunk.dataBytes > image.byteLength ||
+                block + chunk.blocks > header.blocks
+            ) {
+                return `Sparse chunk ${i} is out of bounds`;
+            }
+
+            if (chunk.type === Sparse.ChunkType.Raw) {
+                if (chunk.dataBytes !== length) {
+                    return `Sparse raw chunk ${i} has wrong size`;
+                }
+                target.set(image.subarray(offset, offset + length), start);
+            } else if (chunk.type === Sparse.ChunkType.Fill) {
+                let pattern = image.subarray(offset, offset + 4);
+                for (let j = 0; j < length; j += 4) {
+                    target.set(pattern, start + j);
+                }
+            } else if (
+                chunk.type !== Sparse.ChunkType.Skip &&
+                chunk.type !== Sparse.ChunkType.Crc32
+            ) {
+                return `Unknown sparse chunk type ${chunk.type}`;
+            }
+
+            offset += chunk.dataBytes;
+            block += chunk.blocks;
+        }
+
+        return null;
+    }
+
+    private _erase(name: string) {
+        let partition = this._findPartition(name);
+        if (partition === null) {
+            return ["FAILPartition not found"];
+        }
+
+        partition.data = null;
+        return ["OKAY"];
+    }
+
+    private _setActive(slot: string) {
+        let state = this._slotState.get(slot);
+        if (this.currentSlot === null || state === undefined) {
+            return ["FAILInvalid slot"];
+        }
+
+        this.currentSlot = slot;
+        state.unbootable = false;
+        return ["OKAY"];
+    }
+
+    private _updateSuper(name: string, wipe: boolean) {
+        if (name !== this.getVariable("super-partition-name")) {
+            return ["FAILInvalid super partition name"];
+        }
+        if (this._download === null) {
+            return ["FAILNo metadata downloaded"];
+        }
+
+        // The metadata itself isn't parsed. Like a freshly flashed
+        // super_empty.img, it leaves every logical partition empty.
+        for (let partition of this._partitions.values()) {
+            if (partition.isLogical) {
+                partition.size = 0;
+                if (wipe) {
+                    partition.data = null;
+                } else if (partition.data !== null) {
+                    partition.data = new Uint8Array(0);
+                }
+            }
+        }
+
+        return ["OKAY"];
+    }
+
+    private _createLogicalPartition(name: string, sizeStr: string) {
+        if (this._partitions.has(name)) {
+            return ["FAILPartition already exists"];
+        }
+
+        this._partitions.set(name, {
+            size: parseInt(sizeStr, 10),
+            type: "raw",
+            isLogical: true,
+            data: null,
+        });
+        return ["OKAY"];
+    }
+
+    private _deleteLogicalPartition(name: string) {
+        let partition = this._findPartition(name);
+        if (partition === null || !partition.isLogical) {
+            return ["FAILCould not delete partition"];
+        }
+
+        this._partitions.delete(name);
+        return ["OKAY"];
+    }
+
+    private _resizeLogicalPartition(name: string, sizeStr: string) {
+        let partition = this._findPartition(name);
+        let size = parseInt(sizeStr, 10);
+        if (partition === null || !partition.isLogical || isNaN(size)) {
+            return ["FAILCould not resize partition"];
+        }
+
+        partition.size = size;
+        if (partition.data !== null) {
+            let data = new Uint8Array(size);
+            data.set(partition.data.subarray(0, size));
+            partition.data = data;
+        }
+        return ["OKAY"];
+    }
+}
+
+/**
+ * Transport that connects a {@link FastbootDevice} to a
+ * {@link VirtualBootloader} in memory, e.g. for testing:
+ *
+ *     let bootloader = new VirtualBootloader({ partitions: { ... } });
+ *     let device = new FastbootDevice(new VirtualTransport(bootloader));
+ *     await device.connect();
+ */
+export class VirtualTransport implements FastbootTransport {
+    bootloader: VirtualBootloader;
+
+    private _opened: boolean;
+    private _remaining: ArrayBuffer | null;
+
+    /**
+     * Create a new virtual transport.
+     *
+     * @param {VirtualBootloader} bootloader - The virtual device to talk to.
+     */
+    constructor(bootloader: VirtualBootloader) {
+        this.bootloader = bootloader;
+        this._opened = false;
+        this._remaining = null;
+    }
+
+    get isConnected() {
+        return this._opened && this.bootloader.connected;
+    }
+
+    async connect() {
+        if (!this.bootloader.connected) {
+            throw new UsbError("Virtual device is not connected");
+        }
+
+        this._opened = true;
+    }
+
+    waitForDisconnect() {
+        return this._waitForState(false);
+    }
+
+    async waitForConnect(_onReconnect: ReconnectCallback = () => {}) {
+        // Like USB, this only returns at the next connection
+        await this._waitForState(false);
+        await this._waitForState(true);
+        this._opened = true;
+    }
+
+    async write(data: ArrayBuffer) {
+        this.bootloader.handlePacket(data);
+    }
+
+    async read(length: number) {
+        // Packets larger than the requested length are returned over
+        // multiple reads, like USB bulk transfers
+        let packet = this._remaining ?? (await this.bootloader.readPacket());
+        this._remaining =
+            packet.byteLength > length ? packet.slice(length) : null;
+        return packet.slice(0, length);
+    }
+
+    private _waitForState(connected: boolean) {
+        if (this.bootloader.connected === connected) {
+            return Promise.resolve();
+        }
+
+        return new Promise<void>((resolve, _reject) => {
+            let listener = (state: boolean) => {
+                if (state === connected) {
+                    this.bootloader.removeConnectionListener(listener);
+                    resolve();
+                }
+            };
+            this.bootloader.addConnectionListener(listener);
+        });
+    }
+}
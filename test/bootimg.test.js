@@ -0,0 +1,144 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fastboot, randomBytes, connectVirtual } = require("./helpers");
+
+async function readBlob(blob) {
+    return new Uint8Array(await blob.arrayBuffer());
+}
+
+function section(size, seed) {
+    return new Blob([randomBytes(size, seed)]);
+}
+
+for (let headerVersion of [0, 1, 2, 3, 4]) {
+    test(`boot image v${headerVersion} round-trips`, async () => {
+        let input = {
+            headerVersion: headerVersion,
+            kernel: section(5000, 1),
+            ramdisk: section(3000, 2),
+            cmdline: "console=ttyMSM0 androidboot.hardware=qcom",
+            osVersion: "13.0.0",
+            osPatchLevel: "2023-05",
+        };
+        if (headerVersion < 3) {
+            Object.assign(input, {
+                pageSize: 2048,
+                second: section(100, 3),
+                name: "sargo",
+                kernelAddress: 0x10008000,
+            });
+        }
+        if (headerVersion === 1 || headerVersion === 2) {
+            input.recoveryDtbo = section(200, 4);
+        }
+        if (headerVersion === 2) {
+            input.dtb = section(300, 5);
+            input.dtbAddress = 0x11f00000;
+        }
+        if (headerVersion === 4) {
+            input.signature = section(4096, 6);
+        }
+
+        let blob = await fastboot.createBootImage(input);
+        let image = await fastboot.parseBootImage(blob);
+
+        for (let [key, value] of Object.entries(input)) {
+            if (value instanceof Blob) {
+                assert.deepEqual(
+                    await readBlob(image[key]),
+                    await readBlob(value),
+                    key
+                );
+            } else {
+                assert.equal(image[key], value, key);
+            }
+        }
+        assert.deepEqual(
+            await readBlob(await fastboot.createBootImage(image)),
+            await readBlob(blob)
+        );
+    });
+}
+
+for (let headerVersion of [3, 4]) {
+    test(`vendor_boot v${headerVersion} round-trips`, async () => {
+        let ramdisks = [
+            {
+                name: headerVersion === 4 ? "platform" : "",
+                type:
+                    headerVersion === 4
+                        ? fastboot.VendorRamdiskType.Platform
+                        : fastboot.VendorRamdiskType.None,
+                boardId: new Array(16).fill(0),
+                data: section(3000, 1),
+            },
+        ];
+        if (headerVersion === 4) {
+            ramdisks.push({
+                name: "dlkm",
+                type: fastboot.VendorRamdiskType.Dlkm,
+                boardId: Array.from({ length: 16 }, (_, i) => i),
+                data: section(1000, 2),
+            });
+        }
+        let input = {
+            headerVersion: headerVersion,
+            pageSize: 4096,
+            ramdisks: ramdisks,
+            dtb: section(2000, 3),
+            cmdline: "androidboot.console=ttyMSM0",
+            name: "raven",
+        };
+        if (headerVersion === 4) {
+            input.bootconfig = "androidboot.hardware=raven\n";
+        }
+
+        let blob = await fastboot.createVendorBootImage(input);
+        let image = await fastboot.parseVendorBootImage(blob);
+
+        assert.equal(image.headerVersion, headerVersion);
+        assert.equal(image.cmdline, input.cmdline);
+        assert.equal(image.name, input.name);
+        assert.equal(image.bootconfig, input.bootconfig ?? "");
+        assert.deepEqual(await readBlob(image.dtb), await readBlob(input.dtb));
+        assert.equal(image.ramdisks.length, ramdisks.length);
+        for (let [i, ramdisk] of ramdisks.entries()) {
+            assert.equal(image.ramdisks[i].name, ramdisk.name);
+            assert.equal(image.ramdisks[i].type, ramdisk.type);
+            assert.deepEqual(image.ramdisks[i].boardId, ramdisk.boardId);
+            assert.deepEqual(
+                await readBlob(image.ramdisks[i].data),
+                await readBlob(ramdisk.data)
+            );
+        }
+        assert.deepEqual(
+            await readBlob(await fastboot.createVendorBootImage(image)),
+            await readBlob(blob)
+        );
+    });
+}
+
+test("boot images are rebuilt with the cmdline override", async () => {
+    let { bootloader, device } = await connectVirtual();
+    let kernel = section(5000, 1);
+    let original = await fastboot.createBootImage({
+        headerVersion: 2,
+        kernel: kernel,
+        ramdisk: section(3000, 2),
+        dtb: section(300, 3),
+        cmdline: "console=ttyMSM0",
+    });
+
+    await device.bootBlob(original, () => {}, {
+        cmdline: "console=ttyMSM0 androidboot.selinux=permissive",
+    });
+
+    let image = await fastboot.parseBootImage(new Blob([bootloader.booted]));
+    assert.equal(image.headerVersion, 2);
+    assert.equal(
+        image.cmdline,
+        "console=ttyMSM0 androidboot.selinux=permissive"
+    );
+    assert.deepEqual(await readBlob(image.kernel), await readBlob(kernel));
+    assert.equal(image.dtb.size, 300);
+});
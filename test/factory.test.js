@@ -0,0 +1,144 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { makeZip, connectVirtual } = require("./helpers");
+
+const PARTITIONS = {
+    boot: { size: 64 * 1024, hasSlot: true },
+    init_boot: { size: 64 * 1024, hasSlot: true },
+    system: { size: 0, hasSlot: true, isLogical: true },
+    super: { size: 1024 * 1024 },
+    userdata: { size: 64 * 1024 },
+};
+
+const FASTBOOT_INFO = `# Comment
+version 1
+flash boot
+flash --slot-other init_boot
+reboot fastboot
+update-super
+flash system
+if-wipe erase userdata
+`;
+
+async function createFactoryZip(fastbootInfo, images = {}) {
+    let files = {
+        "boot.img": new Uint8Array(4096).fill(1),
+        "init_boot.img": new Uint8Array(4096).fill(2),
+        "system.img": new Uint8Array(8192).fill(3),
+        "super_empty.img": new Uint8Array(100),
+        ...images,
+    };
+    if (fastbootInfo !== null) {
+        files["fastboot-info.txt"] = fastbootInfo;
+    }
+
+    return await makeZip({
+        "image-virtual-factory.zip": await makeZip(files),
+    });
+}
+
+async function flashFactoryZip(zip, wipe) {
+    let { bootloader, device } = await connectVirtual({
+        partitions: PARTITIONS,
+    });
+    bootloader.commands = [];
+    await device.flashFactoryZip(
+        zip,
+        wipe,
+        () => {},
+        () => {}
+    );
+    return bootloader;
+}
+
+test("fastboot-info.txt steps are run in order", async () => {
+    let bootloader = await flashFactoryZip(
+        await createFactoryZip(FASTBOOT_INFO),
+        true
+    );
+
+    assert.deepEqual(bootloader.flashed, ["boot_a", "init_boot_b", "system_a"]);
+    let commands = bootloader.commands;
+    assert.ok(
+        commands.indexOf("flash:init_boot_b") <
+            commands.indexOf("reboot-fastboot")
+    );
+    assert.ok(
+        commands.indexOf("update-super:super:wipe") <
+            commands.indexOf("flash:system_a")
+    );
+    assert.ok(commands.includes("erase:userdata"));
+});
+
+test("fastboot-info.txt wipe steps are skipped without wiping", async () => {
+    let bootloader = await flashFactoryZip(
+        await createFactoryZip(FASTBOOT_INFO),
+        false
+    );
+
+    assert.ok(bootloader.commands.includes("update-super:super"));
+    assert.ok(!bootloader.commands.includes("erase:userdata"));
+});
+
+test("invalid fastboot-info.txt falls back to the default order", async () => {
+    for (let info of ["version 9\nflash boot\n", "flash boot\n"]) {
+        let bootloader = await flashFactoryZip(
+            await createFactoryZip(info),
+            false
+        );
+
+        // init_boot is only flashed to the other slot with fastboot-info.txt
+        assert.ok(bootloader.flashed.includes("init_boot_a"));
+        assert.ok(!bootloader.flashed.includes("init_boot_b"));
+    }
+});
+
+test("images missing from fastboot-info.txt are reported", async () => {
+    let zip = await createFactoryZip("version 1\nflash dtbo\n");
+
+    await assert.rejects(flashFactoryZip(zip, false), /dtbo\.img/);
+});
+
+// Aborts once the given stage reaches the given progress
+async function flashAndAbort(zip, stage, abortProgress, options = {}) {
+    let { device } = await connectVirtual({ partitions: PARTITIONS });
+    let controller = new AbortController();
+    let onProgress = (action, item, progress) => {
+        if (`${action}:${item}` === stage && progress >= abortProgress) {
+            controller.abort();
+        }
+    };
+
+    let error = await device
+        .flashFactoryZip(zip, true, () => {}, onProgress, {
+            ...options,
+            signal: controller.signal,
+        })
+        .catch((e) => e);
+    assert.equal(error.name, "AbortError");
+    return error.writtenPartitions;
+}
+
+test("aborting between steps reports each written partition once", async () => {
+    let zip = await createFactoryZip(FASTBOOT_INFO);
+
+    assert.deepEqual(await flashAndAbort(zip, "flash:boot", 1), ["boot_a"]);
+    assert.deepEqual(await flashAndAbort(zip, "flash:init_boot", 1), [
+        "boot_a",
+        "init_boot_b",
+    ]);
+    assert.deepEqual(await flashAndAbort(zip, "wipe:super", 1), [
+        "boot_a",
+        "init_boot_b",
+        "super",
+    ]);
+});
+
+test("aborting within a step reports its written slots", async () => {
+    let zip = await createFactoryZip(FASTBOOT_INFO);
+
+    let written = await flashAndAbort(zip, "flash:boot", 0.5, {
+        slot: "all",
+    });
+    assert.deepEqual(written, ["boot_a"]);
+});
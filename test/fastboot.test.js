@@ -0,0 +1,187 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fastboot, randomBytes, connectVirtual } = require("./helpers");
+
+test("verification is rejected in the bootloader before flashing", async () => {
+    let { bootloader, device } = await connectVirtual({
+        partitions: { boot: { size: 8192 } },
+    });
+
+    await assert.rejects(
+        device.flashBlob("boot", new Blob([new Uint8Array(4096)]), () => {}, {
+            verify: true,
+        }),
+        /Can't verify boot outside of fastbootd/
+    );
+    assert.deepEqual(bootloader.flashed, []);
+    assert.ok(!bootloader.commands.some((c) => c.startsWith("download:")));
+});
+
+test("partitions are fetched in pieces of the maximum fetch size", async () => {
+    let image = randomBytes(20000);
+    let { bootloader, device } = await connectVirtual({
+        userspace: true,
+        maxFetchSize: 8192,
+        partitions: { dtbo: { size: image.length } },
+    });
+    await device.flashBlob("dtbo", new Blob([image]));
+
+    let data = await device.fetch("dtbo", () => {}, 100, 10000);
+    assert.deepEqual(
+        new Uint8Array(await data.arrayBuffer()),
+        image.subarray(100, 10100)
+    );
+    assert.deepEqual(
+        bootloader.commands.filter((c) => c.startsWith("fetch:")),
+        ["fetch:dtbo:0x64:0x2000", "fetch:dtbo:0x2064:0x710"]
+    );
+});
+
+test("staged data is read with upload", async () => {
+    let { bootloader, device } = await connectVirtual();
+    let data = randomBytes(5000);
+    bootloader.stage(data);
+
+    let staged = await device.getStaged();
+    assert.deepEqual(new Uint8Array(await staged.arrayBuffer()), data);
+});
+
+test("flashes are verified by reading the partition back", async () => {
+    let image = randomBytes(8192);
+    let { bootloader, device } = await connectVirtual({
+        userspace: true,
+        partitions: { dtbo: { size: image.length } },
+    });
+
+    await device.flashBlob("dtbo", new Blob([image]), () => {}, {
+        verify: true,
+    });
+    assert.ok(bootloader.commands.includes("fetch:dtbo:0x0:0x2000"));
+
+    // Pretend to flash without writing anything
+    bootloader.addCommandHandler((command) =>
+        command.startsWith("flash:") ? ["OKAY"] : undefined
+    );
+    let changed = image.slice();
+    changed[4096] ^= 0xff;
+    await assert.rejects(
+        device.flashBlob("dtbo", new Blob([changed]), () => {}, {
+            verify: true,
+        }),
+        /Verification of dtbo failed: data differs at offset 4096/
+    );
+});
+
+test("invalid boot images don't switch slots", async () => {
+    let { bootloader, device } = await connectVirtual({
+        partitions: { boot: { size: 8192, hasSlot: true } },
+        currentSlot: "a",
+    });
+
+    // Boot image header with an unsupported version
+    let header = new Uint8Array(4096);
+    header.set(new TextEncoder().encode("ANDROID!"));
+    header[40] = 9;
+
+    await assert.rejects(
+        device.bootBlob(new Blob([header]), () => {}, {
+            setActive: "b",
+            cmdline: "console=ttyS0",
+        }),
+        { name: "BootImageError" }
+    );
+    assert.ok(!bootloader.commands.some((c) => c.startsWith("set_active")));
+    assert.equal(bootloader.currentSlot, "a");
+});
+
+test("slots are switched right before booting", async () => {
+    let { bootloader, device } = await connectVirtual({
+        partitions: { boot: { size: 8192, hasSlot: true } },
+        currentSlot: "a",
+    });
+    let image = await fastboot.createBootImage({
+        kernel: new Blob([new Uint8Array(1024)]),
+    });
+
+    bootloader.commands = [];
+    await device.bootBlob(image, () => {}, {
+        setActive: "b",
+        cmdline: "console=ttyS0",
+    });
+    assert.deepEqual(
+        bootloader.commands.filter((c) => !c.startsWith("getvar:")),
+        [
+            "set_active:b",
+            `download:${image.size.toString(16).padStart(8, "0")}`,
+            "boot",
+        ]
+    );
+});
+
+test("kernels are booted in a new boot image", async () => {
+    let { bootloader, device } = await connectVirtual();
+
+    let kernel = new Uint8Array(1024).fill(1);
+    await device.bootBlob(new Blob([kernel]), () => {}, {
+        ramdisk: new Blob([new Uint8Array(512).fill(2)]),
+        cmdline: "console=ttyS0",
+        headerVersion: 1,
+    });
+
+    let image = await fastboot.parseBootImage(new Blob([bootloader.booted]));
+    assert.equal(image.headerVersion, 1);
+    assert.equal(image.cmdline, "console=ttyS0");
+    assert.deepEqual(new Uint8Array(await image.kernel.arrayBuffer()), kernel);
+    assert.equal(image.ramdisk.size, 512);
+});
+
+test("uploads are aborted partway through", async () => {
+    let { device } = await connectVirtual();
+    let data = randomBytes(512 * 1024);
+    let controller = new AbortController();
+
+    await assert.rejects(
+        device.upload(
+            "boot",
+            data.buffer,
+            (progress) => {
+                if (progress > 0) {
+                    controller.abort();
+                }
+            },
+            controller.signal
+        ),
+        { name: "AbortError" }
+    );
+
+    // The transfer was finished with zeros, so the device still responds
+    let staged = new Uint8Array(await (await device.getStaged()).arrayBuffer());
+    assert.equal(staged.byteLength, data.byteLength);
+    assert.deepEqual(staged.subarray(0, 1024), data.subarray(0, 1024));
+    assert.ok(staged.subarray(-1024).every((byte) => byte === 0));
+    assert.equal(await device.getVariable("product"), "virtual");
+});
+
+test("aborted uploads aren't flashed", async () => {
+    let { bootloader, device } = await connectVirtual({
+        partitions: { dtbo: { size: 512 * 1024 } },
+    });
+    let controller = new AbortController();
+
+    await assert.rejects(
+        device.flashBlob(
+            "dtbo",
+            new Blob([randomBytes(512 * 1024)]),
+            (progress) => {
+                if (progress > 0) {
+                    controller.abort();
+                }
+            },
+            { signal: controller.signal }
+        ),
+        { name: "AbortError", writtenPartitions: [] }
+    );
+
+    assert.deepEqual(bootloader.flashed, []);
+    assert.ok(bootloader.commands.includes("download:00080000"));
+});
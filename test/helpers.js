@@ -0,0 +1,136 @@
+// Shared setup for tests, which run against the CommonJS build in build/test
+const zip = require("@zip.js/zip.js");
+const fastboot = require("../build/test/index.js");
+
+// Workers aren't available in Node
+zip.configure({ useWebWorkers: false });
+
+// zip.js reads blobs with FileReader, which only exists in browsers
+if (typeof FileReader === "undefined") {
+    globalThis.FileReader = class FileReader {
+        _read(promise) {
+            promise.then(
+                (result) => {
+                    this.result = result;
+                    this.onload?.({ target: this });
+                },
+                (error) => {
+                    this.error = error;
+                    this.onerror?.({ target: this });
+                }
+            );
+        }
+
+        readAsArrayBuffer(blob) {
+            this._read(blob.arrayBuffer());
+        }
+
+        readAsText(blob) {
+            this._read(blob.text());
+        }
+    };
+}
+
+const encoder = new TextEncoder();
+
+// Deterministic pseudo-random bytes, so that failures are reproducible
+function randomBytes(length, seed = 1) {
+    let bytes = new Uint8Array(length);
+    let state = seed;
+    for (let i = 0; i < length; i++) {
+        state = (state * 1103515245 + 12345) >>> 0;
+        bytes[i] = state >>> 24;
+    }
+    return bytes;
+}
+
+async function makeZip(files, options = {}) {
+    let writer = new zip.ZipWriter(new zip.BlobWriter("application/zip"));
+    for (let [name, data] of Object.entries(files)) {
+        if (typeof data === "string") {
+            data = encoder.encode(data);
+        }
+        let blob = data instanceof Blob ? data : new Blob([data]);
+        await writer.add(name, new zip.BlobReader(blob), options);
+    }
+    return await writer.close();
+}
+
+// Minimal WebUSB device with a fastboot interface. Packets in `responses` are
+// returned by transferIn, as views into a larger buffer like Chromium's.
+function createUsbDevice(serialNumber, responses = []) {
+    let ife = {
+        claimed: false,
+        alternates: [
+            {
+                interfaceClass: 0xff,
+                interfaceSubclass: 0x42,
+                interfaceProtocol: 0x03,
+                endpoints: [
+                    { type: "bulk", direction: "in", endpointNumber: 1 },
+                    { type: "bulk", direction: "out", endpointNumber: 2 },
+                ],
+            },
+        ],
+    };
+    return {
+        serialNumber: serialNumber,
+        opened: false,
+        opens: 0,
+        sent: [],
+        configurations: [{ interfaces: [ife] }],
+        async open() {
+            this.opened = true;
+            this.opens += 1;
+        },
+        async reset() {},
+        async selectConfiguration() {},
+        async claimInterface() {
+            ife.claimed = true;
+        },
+        async transferOut(endpoint, data) {
+            this.sent.push(new TextDecoder().decode(data));
+            return { status: "ok", bytesWritten: data.byteLength };
+        },
+        async transferIn(endpoint, length) {
+            let packet = encoder.encode(responses.shift() ?? "OKAY");
+            let buffer = new Uint8Array(packet.length + 16);
+            buffer.set(packet, 8);
+            return {
+                status: "ok",
+                data: new DataView(buffer.buffer, 8, packet.length),
+            };
+        },
+    };
+}
+
+// Replace WebUSB with the given paired devices. The selected device is
+// returned when the user is prompted.
+function mockUsb(paired, selected) {
+    globalThis.navigator = {
+        userAgent: "node",
+        usb: {
+            getDevices: async () => paired,
+            requestDevice: async () => selected,
+            addEventListener: () => {},
+        },
+    };
+}
+
+async function connectVirtual(options) {
+    let bootloader = new fastboot.VirtualBootloader(options);
+    let device = new fastboot.FastbootDevice(
+        new fastboot.VirtualTransport(bootloader)
+    );
+    await device.connect();
+    return { bootloader, device };
+}
+
+module.exports = {
+    fastboot,
+    randomBytes,
+    makeZip,
+    createUsbDevice,
+    mockUsb,
+    connectVirtual,
+};
@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fastboot, connectVirtual } = require("./helpers");
+
+test("variables are parsed with and without spaces", () => {
+    let variables = fastboot.parseAllVariables(
+        "product: raven\npartition-size:boot_a: 0x4000000\r\n" +
+            "is-logical:system_a:yes\n\nunlocked:no\n"
+    );
+
+    assert.deepEqual(variables, {
+        product: "raven",
+        "partition-size:boot_a": "0x4000000",
+        "is-logical:system_a": "yes",
+        unlocked: "no",
+    });
+});
+
+test("colons are kept in variable values", () => {
+    let variables = fastboot.parseAllVariables(
+        "version-baseband: g5300q: 1.0\nhw-revision:rev: MP1.0: 2\n"
+    );
+
+    assert.deepEqual(variables, {
+        "version-baseband": "g5300q: 1.0",
+        "hw-revision:rev": "MP1.0: 2",
+    });
+});
+
+test("variables are queried one by one when getvar:all fails", async () => {
+    let { bootloader, device } = await connectVirtual({
+        partitions: { boot: { size: 4096, hasSlot: true } },
+        currentSlot: "a",
+        variables: {
+            "slot-count": "3",
+            "slot-successful:c": "no",
+            "partition-size:boot_c": "0x1000",
+        },
+    });
+    bootloader.addCommandHandler((command) =>
+        command === "getvar:all" ? ["FAILunknown variable"] : undefined
+    );
+
+    let variables = await device.getAllVariables(["boot"]);
+
+    assert.equal(variables["slot-count"], "3");
+    assert.equal(variables["slot-successful:c"], "no");
+    assert.equal(variables["has-slot:boot"], "yes");
+    assert.equal(variables["partition-size:boot_a"], "0x1000");
+    assert.equal(variables["partition-size:boot_c"], "0x1000");
+    assert.ok(bootloader.commands.includes("getvar:is-logical:boot_c"));
+});
@@ -0,0 +1,31 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fastboot, createUsbDevice, mockUsb } = require("./helpers");
+
+test.afterEach(() => {
+    delete globalThis.navigator;
+});
+
+test("selecting a managed device returns the existing instance", async () => {
+    let usbDevices = [createUsbDevice("A"), createUsbDevice("B")];
+    mockUsb(usbDevices, usbDevices[0]);
+    let manager = new fastboot.FastbootDeviceManager();
+    let device = await manager.connect(usbDevices[0]);
+
+    assert.equal(await manager.connect(), device);
+    assert.equal(usbDevices[0].opens, 1);
+    assert.deepEqual(Array.from(manager.devices.keys()), ["A"]);
+});
+
+test("devices without serial numbers aren't connected", async () => {
+    let usbDevices = [createUsbDevice(""), createUsbDevice("B")];
+    mockUsb(usbDevices, usbDevices[0]);
+    let manager = new fastboot.FastbootDeviceManager();
+
+    await assert.rejects(manager.connect(), {
+        name: "FastbootError",
+        bootloaderMessage: "Device has no serial number",
+    });
+    assert.equal(usbDevices[0].opens, 0);
+    assert.equal(manager.devices.size, 0);
+});
@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const dgram = require("node:dgram");
+const net = require("node:net");
+const fastboot = require("../build/test/node.js");
+
+const { TcpTransport, UdpTransport } = fastboot;
+
+test("TCP reconnection gives up after the timeout", async () => {
+    let server = net.createServer((socket) => {
+        socket.once("data", () => {
+            socket.write("FB01");
+            // Disconnect for good, like a device that doesn't come back
+            setTimeout(() => {
+                socket.destroy();
+                server.close();
+            }, 10);
+        });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+    let transport = new TcpTransport("127.0.0.1", server.address().port, 100);
+    await transport.connect();
+    await assert.rejects(transport.waitForConnect(), {
+        name: "TimeoutError",
+    });
+});
+
+test("UDP reads fail when the device stops responding", async () => {
+    // Only responds to the handshake
+    let socket = dgram.createSocket("udp4");
+    socket.on("message", (message, remote) => {
+        let [id, , ...seq] = message;
+        let response;
+        if (id === 0x01) {
+            // Query: start at sequence number 0
+            response = Buffer.from([id, 0, ...seq, 0, 0]);
+        } else if (id === 0x02) {
+            // Init: version 1, 512-byte packets
+            response = Buffer.from([id, 0, ...seq, 0, 1, 0x02, 0x00]);
+        } else {
+            return;
+        }
+        socket.send(response, remote.port, remote.address);
+    });
+    await new Promise((resolve) => socket.bind(0, "127.0.0.1", resolve));
+
+    let transport = new UdpTransport("127.0.0.1", socket.address().port);
+    try {
+        await transport.connect();
+        await assert.rejects(transport.read(64), {
+            name: "NetworkError",
+            message: "No response after 10 attempts",
+        });
+    } finally {
+        transport.close();
+        socket.close();
+    }
+});
+
+test("UDP devices reconnect once they stop answering after a reboot", async () => {
+    // Keeps answering for a while after rebooting, then goes silent until
+    // the bootloader comes back with a new session
+    let session = "old";
+    let handshakes = [];
+    let pending = [];
+    let socket = dgram.createSocket("udp4");
+    socket.on("message", (message, remote) => {
+        if (session === "rebooting") {
+            return;
+        }
+
+        let [id, , ...seq] = message.subarray(0, 4);
+        let data = message.subarray(4);
+        let response;
+        if (id === 0x01) {
+            response = Buffer.from([id, 0, ...seq, ...seq]);
+        } else if (id === 0x02) {
+            handshakes.push(session);
+            response = Buffer.from([id, 0, ...seq, 0, 1, 0x02, 0x00]);
+        } else if (data.length > 0) {
+            if (data.toString() === "reboot-bootloader") {
+                setTimeout(() => {
+                    session = "rebooting";
+                    setTimeout(() => (session = "new"), 1500);
+                }, 500);
+            }
+            pending.push("OKAY");
+            response = Buffer.from([id, 0, ...seq]);
+        } else {
+            response = Buffer.from([
+                id,
+                0,
+                ...seq,
+                ...Buffer.from(pending.join("")),
+            ]);
+            pending = [];
+        }
+        socket.send(response, remote.port, remote.address);
+    });
+    await new Promise((resolve) => socket.bind(0, "127.0.0.1", resolve));
+
+    let transport = new UdpTransport("127.0.0.1", socket.address().port, 10000);
+    let device = new fastboot.FastbootDevice(transport);
+    try {
+        await device.connect();
+        await device.reboot("bootloader", true);
+        assert.deepEqual(handshakes, ["old", "new"]);
+    } finally {
+        transport.close();
+        socket.close();
+    }
+});
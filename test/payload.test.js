@@ -0,0 +1,357 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const { fastboot, randomBytes, makeZip, connectVirtual } = require("./helpers");
+
+const { PayloadOperationType } = fastboot;
+const BLOCK_SIZE = 4096;
+
+// Minimal protobuf encoding for the manifest fields we use
+function varint(value) {
+    let bytes = [];
+    while (value >= 0x80) {
+        bytes.push(value % 0x80 | 0x80);
+        value = Math.floor(value / 0x80);
+    }
+    bytes.push(value);
+    return Buffer.from(bytes);
+}
+
+function numberField(field, value) {
+    return Buffer.concat([varint(field * 8), varint(value)]);
+}
+
+function bytesField(field, bytes) {
+    return Buffer.concat([varint(field * 8 + 2), varint(bytes.length), bytes]);
+}
+
+function sha256(data) {
+    return crypto.createHash("sha256").update(data).digest();
+}
+
+function extent(startBlock, numBlocks) {
+    return Buffer.concat([
+        numberField(1, startBlock),
+        numberField(2, numBlocks),
+    ]);
+}
+
+// Stand-in for a real compression format, undone by reverse()
+function reverse(data) {
+    return Buffer.from(data).reverse();
+}
+
+// Full payload whose partitions are written by a ZERO operation for the first
+// block and a REPLACE-style operation for the rest. Compressed operation
+// types store their data reversed.
+function createPayload(partitions, groups = []) {
+    let data = [];
+    let dataOffset = 0;
+    let partitionFields = [];
+    for (let partition of partitions) {
+        let image = partition.image;
+        let type = partition.type ?? PayloadOperationType.Replace;
+        let blocks = Math.ceil(image.length / BLOCK_SIZE);
+        let padded = Buffer.alloc(blocks * BLOCK_SIZE);
+        padded.set(image);
+
+        let opData = padded.subarray(BLOCK_SIZE);
+        if (type !== PayloadOperationType.Replace) {
+            opData = reverse(opData);
+        }
+        let replace = Buffer.concat([
+            numberField(1, type),
+            numberField(2, dataOffset),
+            numberField(3, opData.length),
+            bytesField(6, extent(1, blocks - 1)),
+            bytesField(8, sha256(opData)),
+        ]);
+        let zero = Buffer.concat([
+            numberField(1, PayloadOperationType.Zero),
+            bytesField(6, extent(0, 1)),
+        ]);
+        data.push(opData);
+        dataOffset += opData.length;
+
+        partitionFields.push(
+            bytesField(
+                13,
+                Buffer.concat([
+                    bytesField(1, Buffer.from(partition.name)),
+                    bytesField(
+                        7,
+                        Buffer.concat([
+                            numberField(1, image.length),
+                            bytesField(2, partition.hash ?? sha256(image)),
+                        ])
+                    ),
+                    bytesField(8, zero),
+                    bytesField(8, replace),
+                ])
+            )
+        );
+    }
+
+    let groupFields = groups.map((group) =>
+        bytesField(
+            1,
+            Buffer.concat([
+                bytesField(1, Buffer.from(group.name)),
+                numberField(2, group.size),
+                ...group.partitionNames.map((name) =>
+                    bytesField(3, Buffer.from(name))
+                ),
+            ])
+        )
+    );
+    let manifest = Buffer.concat([
+        numberField(3, BLOCK_SIZE),
+        ...partitionFields,
+        ...(groups.length > 0
+            ? [bytesField(15, Buffer.concat(groupFields))]
+            : []),
+    ]);
+
+    let header = Buffer.alloc(24);
+    header.write("CrAU", 0);
+    header.writeBigUInt64BE(2n, 4);
+    header.writeBigUInt64BE(BigInt(manifest.length), 12);
+    return new Blob([header, manifest, ...data]);
+}
+
+function createImage(blocks, seed = 1) {
+    // The first block is zeroed, and the image ends in the middle of a block
+    let image = Buffer.alloc(blocks * BLOCK_SIZE + 1000);
+    image.set(randomBytes(image.length - BLOCK_SIZE, seed), BLOCK_SIZE);
+    return image;
+}
+
+async function extractRaw(payloadBlob, name) {
+    let payload = await fastboot.parsePayload(payloadBlob);
+    let image = await fastboot.extractPayloadPartition(
+        payloadBlob,
+        payload,
+        name
+    );
+    return Buffer.from(
+        await (await fastboot.Sparse.toRaw(image)).arrayBuffer()
+    );
+}
+
+const PARTITIONS = {
+    boot: { size: 64 * 1024, hasSlot: true },
+    vendor: { size: 0, hasSlot: true, isLogical: true },
+    super: { size: 1024 * 1024 },
+    userdata: { size: 64 * 1024 },
+};
+
+async function flashOtaZip(payloadBlob, options = {}, zipOptions = {}) {
+    let zip = await makeZip({ "payload.bin": payloadBlob }, zipOptions);
+    let { bootloader, device } = await connectVirtual({
+        partitions: PARTITIONS,
+    });
+    bootloader.commands = [];
+
+    let items = [];
+    let result = device.flashOtaZip(
+        zip,
+        false,
+        () => {},
+        (action, item) => items.push(`${action} ${item}`),
+        options
+    );
+    return { bootloader, result, items };
+}
+
+function readPartition(bootloader, name, size) {
+    // Logical partitions are only visible in fastbootd
+    let userspace = bootloader.userspace;
+    bootloader.userspace = true;
+    try {
+        return Buffer.from(bootloader.readPartition(name)).subarray(0, size);
+    } finally {
+        bootloader.userspace = userspace;
+    }
+}
+
+test("partitions are extracted and checked against their hash", async () => {
+    let image = createImage(5);
+    let raw = await extractRaw(
+        createPayload([{ name: "boot", image: image }]),
+        "boot"
+    );
+
+    assert.equal(raw.length, 6 * BLOCK_SIZE);
+    assert.deepEqual(raw.subarray(0, image.length), image);
+});
+
+test("partitions with the wrong hash are rejected", async () => {
+    let payloadBlob = createPayload([
+        { name: "boot", image: createImage(5), hash: sha256("other") },
+    ]);
+
+    await assert.rejects(extractRaw(payloadBlob, "boot"), {
+        name: "PayloadError",
+        message: "Hash mismatch in boot",
+    });
+});
+
+for (let [description, level] of [
+    ["stored", 0],
+    ["compressed", 5],
+]) {
+    test(`OTA packages with ${description} payloads are flashed`, async () => {
+        let image = createImage(5);
+        let { bootloader, result, items } = await flashOtaZip(
+            createPayload([{ name: "boot", image: image }]),
+            {},
+            { level: level }
+        );
+        await result;
+
+        assert.deepEqual(bootloader.flashed, ["boot_a"]);
+        assert.deepEqual(
+            readPartition(bootloader, "boot_a", image.length),
+            image
+        );
+        // Physical partitions are sent as raw images
+        assert.ok(
+            bootloader.commands.includes(
+                `download:${image.length.toString(16).padStart(8, "0")}`
+            )
+        );
+        // Stored payloads are sliced from the zip instead of unpacked
+        assert.equal(items.includes("unpack payload"), level !== 0);
+    });
+}
+
+test("logical partitions are flashed in fastbootd", async () => {
+    let boot = createImage(5, 1);
+    let vendor = createImage(6, 2);
+    let system = createImage(7, 3);
+    let { bootloader, result } = await flashOtaZip(
+        createPayload(
+            [
+                { name: "boot", image: boot },
+                { name: "vendor", image: vendor },
+                { name: "system", image: system },
+            ],
+            [
+                {
+                    name: "google_dynamic_partitions",
+                    size: 1024 * 1024,
+                    partitionNames: ["vendor", "system"],
+                },
+            ]
+        )
+    );
+    await result;
+
+    assert.deepEqual(bootloader.flashed, ["boot_a", "vendor_a", "system_a"]);
+    let commands = bootloader.commands;
+    assert.ok(
+        commands.indexOf("flash:boot_a") < commands.indexOf("reboot-fastboot")
+    );
+    // Only missing partitions are created, and then sized to their images
+    assert.ok(!commands.includes("create-logical-partition:vendor_a:0"));
+    assert.ok(commands.includes("create-logical-partition:system_a:0"));
+    assert.ok(
+        commands.includes(`resize-logical-partition:system_a:${8 * BLOCK_SIZE}`)
+    );
+    assert.equal(bootloader.userspace, false);
+
+    assert.deepEqual(readPartition(bootloader, "boot_a", boot.length), boot);
+    assert.deepEqual(
+        readPartition(bootloader, "vendor_a", vendor.length),
+        vendor
+    );
+    assert.deepEqual(
+        readPartition(bootloader, "system_a", system.length),
+        system
+    );
+});
+
+test("compressed operations use the given decompressors", async () => {
+    let boot = createImage(5, 1);
+    let vendor = createImage(6, 2);
+    let decompressed = [];
+    let decompress = (format) => async (data) => {
+        decompressed.push(format);
+        return reverse(data);
+    };
+    let { bootloader, result } = await flashOtaZip(
+        createPayload(
+            [
+                {
+                    name: "boot",
+                    image: boot,
+                    type: PayloadOperationType.ReplaceXz,
+                },
+                {
+                    name: "vendor",
+                    image: vendor,
+                    type: PayloadOperationType.Zstd,
+                },
+            ],
+            [{ name: "group", size: 1024 * 1024, partitionNames: ["vendor"] }]
+        ),
+        {
+            decompressors: {
+                xz: decompress("xz"),
+                zstd: decompress("zstd"),
+            },
+        }
+    );
+    await result;
+
+    assert.deepEqual(decompressed, ["xz", "zstd"]);
+    assert.deepEqual(readPartition(bootloader, "boot_a", boot.length), boot);
+    assert.deepEqual(
+        readPartition(bootloader, "vendor_a", vendor.length),
+        vendor
+    );
+});
+
+test("missing decompressors are reported before flashing", async () => {
+    let { bootloader, result } = await flashOtaZip(
+        createPayload([
+            { name: "boot", image: createImage(5, 1) },
+            {
+                name: "dtbo",
+                image: createImage(2, 2),
+                type: PayloadOperationType.ReplaceBz,
+            },
+            {
+                name: "vendor_boot",
+                image: createImage(2, 3),
+                type: PayloadOperationType.ReplaceXz,
+            },
+            {
+                name: "vendor",
+                image: createImage(2, 4),
+                type: PayloadOperationType.Zstd,
+            },
+        ]),
+        { decompressors: { bzip2: async (data) => reverse(data) } }
+    );
+
+    await assert.rejects(result, {
+        name: "PayloadError",
+        message:
+            "Missing payload decompressors: xz (for ReplaceXz operations), zstd (for Zstd operations)",
+    });
+    assert.deepEqual(bootloader.flashed, []);
+});
+
+test("OTA packages with the wrong hash aren't flashed", async () => {
+    let image = createImage(5);
+    let { bootloader, result } = await flashOtaZip(
+        createPayload([{ name: "boot", image: image, hash: sha256("other") }])
+    );
+
+    await assert.rejects(result, {
+        name: "PayloadError",
+        message: "Hash mismatch in boot",
+    });
+    assert.deepEqual(bootloader.flashed, []);
+});
@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { connectVirtual } = require("./helpers");
+
+function connectSlotted() {
+    return connectVirtual({
+        partitions: {
+            boot: { size: 4096, hasSlot: true },
+            misc: { size: 4096 },
+        },
+        currentSlot: "a",
+    });
+}
+
+test("slots are listed with their state", async () => {
+    let { device } = await connectSlotted();
+
+    let slots = await device.getSlots();
+
+    assert.deepEqual(
+        slots.map((slot) => [slot.name, slot.active]),
+        [
+            ["a", true],
+            ["b", false],
+        ]
+    );
+});
+
+test("the other slot is flashed and set active", async () => {
+    let { bootloader, device } = await connectSlotted();
+    let image = new Uint8Array(4096).fill(1);
+
+    let written = await device.flashBlob("boot", new Blob([image]), () => {}, {
+        slot: "other",
+        setActive: true,
+    });
+
+    assert.deepEqual(written, ["boot_b"]);
+    assert.deepEqual(bootloader.flashed, ["boot_b"]);
+    assert.deepEqual(bootloader.readPartition("boot_b"), image);
+    assert.deepEqual(bootloader.readPartition("boot_a"), new Uint8Array(4096));
+    assert.equal(await device.getVariable("current-slot"), "b");
+});
+
+test("all slots are flashed without switching slots", async () => {
+    let { bootloader, device } = await connectSlotted();
+    let image = new Uint8Array(4096).fill(2);
+
+    let written = await device.flashBlob("boot", new Blob([image]), () => {}, {
+        slot: "all",
+    });
+
+    assert.deepEqual(written, ["boot_a", "boot_b"]);
+    assert.deepEqual(bootloader.readPartition("boot_a"), image);
+    assert.deepEqual(bootloader.readPartition("boot_b"), image);
+    assert.equal(await device.getVariable("current-slot"), "a");
+});
+
+test("partitions without slots ignore the slot selection", async () => {
+    let { bootloader, device } = await connectSlotted();
+
+    let written = await device.flashBlob(
+        "misc",
+        new Blob([new Uint8Array(4096)]),
+        () => {},
+        { slot: "all" }
+    );
+
+    assert.deepEqual(written, ["misc"]);
+    assert.deepEqual(bootloader.flashed, ["misc"]);
+});
+
+test("the active slot is switched", async () => {
+    let { device } = await connectSlotted();
+
+    await device.setActiveSlot("b");
+
+    assert.equal(await device.getVariable("current-slot"), "b");
+    let slots = await device.getSlots();
+    assert.deepEqual(
+        slots.filter((slot) => slot.active).map((slot) => slot.name),
+        ["b"]
+    );
+    await assert.rejects(device.setActiveSlot("c"), {
+        name: "FastbootError",
+    });
+});
+
+test("slots are switched before booting", async () => {
+    let { bootloader, device } = await connectSlotted();
+
+    await device.bootBlob(new Blob([new Uint8Array(1024)]), () => {}, {
+        setActive: "b",
+    });
+
+    let commands = bootloader.commands;
+    assert.ok(commands.indexOf("set_active:b") < commands.indexOf("boot"));
+    assert.equal(bootloader.currentSlot, "b");
+});
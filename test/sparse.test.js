@@ -0,0 +1,263 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fastboot, randomBytes, connectVirtual } = require("./helpers");
+
+const { Sparse } = fastboot;
+const BLOCK_SIZE = 4096;
+
+// Mix of data, zero, and fill blocks so that every chunk type is produced
+function createRawImage(blocks) {
+    let image = new Uint8Array(blocks * BLOCK_SIZE);
+    for (let i = 0; i < blocks; i++) {
+        let block = image.subarray(i * BLOCK_SIZE, (i + 1) * BLOCK_SIZE);
+        if (i % 3 === 0) {
+            block.set(randomBytes(BLOCK_SIZE, i + 1));
+        } else if (i % 3 === 1) {
+            block.fill(0xa5);
+        }
+    }
+    return image;
+}
+
+async function readBlob(blob) {
+    return new Uint8Array(await blob.arrayBuffer());
+}
+
+test("fromRaw and toRaw round-trip", async () => {
+    let raw = createRawImage(24);
+    let sparse = await Sparse.fromRaw(new Blob([raw]), { crc32: true });
+    assert.ok(sparse.size < raw.byteLength);
+
+    await Sparse.validate(sparse);
+    assert.deepEqual(await readBlob(await Sparse.toRaw(sparse)), raw);
+});
+
+test("fromRaw emits fill and don't-care chunks", async () => {
+    let raw = createRawImage(12);
+    let sparse = await Sparse.fromRaw(new Blob([raw]), {
+        dontCare: [{ offset: 6 * BLOCK_SIZE, length: 3 * BLOCK_SIZE }],
+    });
+
+    let chunks = [];
+    for await (let { chunk, block } of Sparse.readChunks(sparse)) {
+        chunks.push([chunk.type, block, chunk.blocks]);
+    }
+    let { Raw, Fill, Skip } = Sparse.ChunkType;
+    assert.deepEqual(chunks, [
+        [Raw, 0, 1],
+        [Fill, 1, 1],
+        [Fill, 2, 1],
+        [Raw, 3, 1],
+        [Fill, 4, 1],
+        [Fill, 5, 1],
+        [Skip, 6, 3],
+        [Raw, 9, 1],
+        [Fill, 10, 1],
+        [Fill, 11, 1],
+    ]);
+
+    // Don't-care blocks are expanded as zeros
+    let expected = raw.slice();
+    expected.fill(0, 6 * BLOCK_SIZE, 9 * BLOCK_SIZE);
+    assert.deepEqual(await readBlob(await Sparse.toRaw(sparse)), expected);
+});
+
+async function createCorruptImage(corrupt) {
+    let raw = createRawImage(8);
+    let sparse = await Sparse.fromRaw(new Blob([raw]), { crc32: true });
+    let data = await readBlob(sparse);
+    return new Blob([corrupt(data) ?? data]);
+}
+
+async function assertInvalid(blob, reason, message) {
+    let errors = await Sparse.validate(blob);
+    assert.deepEqual(
+        errors.map((error) => [error.reason, error.message]),
+        [[reason, message]]
+    );
+}
+
+test("CRC32 mismatches are reported", async () => {
+    let blob = await createCorruptImage((data) => {
+        // First byte of the first raw chunk's data
+        data[Sparse.FILE_HEADER_SIZE + Sparse.CHUNK_HEADER_SIZE] ^= 0xff;
+    });
+
+    let errors = await Sparse.validate(blob);
+    assert.ok(errors.length > 0);
+    for (let error of errors) {
+        assert.equal(error.name, "ImageError");
+        assert.equal(error.reason, Sparse.ImageErrorReason.Crc32);
+    }
+});
+
+test("truncated chunks are reported", async () => {
+    let blob = await createCorruptImage((data) =>
+        // Cut the CRC32 chunk's data short
+        data.subarray(0, data.byteLength - 2)
+    );
+
+    await assertInvalid(
+        blob,
+        Sparse.ImageErrorReason.Truncated,
+        "Data of chunk 8 is truncated: expected 4 bytes, got 2"
+    );
+    await assert.rejects(Sparse.toRaw(blob), {
+        name: "ImageError",
+        reason: Sparse.ImageErrorReason.Truncated,
+    });
+});
+
+test("images with a bad magic are reported", async () => {
+    let blob = await createCorruptImage((data) => {
+        data[0] ^= 0xff;
+    });
+
+    await assertInvalid(
+        blob,
+        Sparse.ImageErrorReason.NotSparse,
+        "Blob is not a sparse image"
+    );
+    await assert.rejects(Sparse.toRaw(blob), {
+        name: "ImageError",
+        reason: Sparse.ImageErrorReason.NotSparse,
+    });
+});
+
+test("block counts that don't add up are reported", async () => {
+    let blob = await createCorruptImage((data) => {
+        // Total blocks in the file header
+        new DataView(data.buffer).setUint32(16, 9, true);
+    });
+
+    await assertInvalid(
+        blob,
+        Sparse.ImageErrorReason.BlockCount,
+        "Chunks cover 8 blocks, but the image has 9"
+    );
+    await assert.rejects(Sparse.toRaw(blob), {
+        name: "ImageError",
+        reason: Sparse.ImageErrorReason.BlockCount,
+    });
+});
+
+test("splitBlob keeps every split within the size limit", async () => {
+    let raw = createRawImage(96);
+    let sparse = await Sparse.fromRaw(new Blob([raw]));
+    let splitSize = 64 * 1024;
+
+    let splits = [];
+    for await (let split of Sparse.splitBlob(sparse, splitSize)) {
+        splits.push(split);
+    }
+
+    assert.ok(splits.length > 1);
+    for (let split of splits) {
+        assert.ok(split.data.byteLength <= splitSize);
+        // Every split describes the whole image, skipping what others write
+        let header = Sparse.parseFileHeader(split.data);
+        assert.equal(header.blocks * header.blockSize, raw.byteLength);
+    }
+});
+
+test("split sparse images are flashed completely", async () => {
+    let raw = createRawImage(96);
+    let sparse = await Sparse.fromRaw(new Blob([raw]));
+    let { bootloader, device } = await connectVirtual({
+        maxDownloadSize: 64 * 1024,
+        partitions: { system: { size: raw.byteLength } },
+    });
+
+    await device.flashBlob("system", sparse, () => {});
+
+    let flashes = bootloader.commands.filter((c) => c.startsWith("flash:"));
+    assert.ok(flashes.length > 1);
+    assert.deepEqual(bootloader.readPartition("system"), raw);
+});
+
+test("raw images larger than the download size are split", async () => {
+    let raw = createRawImage(40);
+    let { bootloader, device } = await connectVirtual({
+        maxDownloadSize: 32 * 1024,
+        partitions: { boot: { size: raw.byteLength } },
+    });
+
+    await device.flashBlob("boot", new Blob([raw]), () => {});
+
+    for (let command of bootloader.commands) {
+        if (command.startsWith("download:")) {
+            assert.ok(parseInt(command.slice(9), 16) <= 32 * 1024);
+        }
+    }
+    assert.deepEqual(bootloader.readPartition("boot"), raw);
+});
+
+test("toRawStream expands every chunk type", async () => {
+    let raw = createRawImage(24);
+    let sparse = await Sparse.fromRaw(new Blob([raw]));
+
+    let stream = Sparse.toRawStream(sparse);
+    assert.deepEqual(await readBlob(await new Response(stream).blob()), raw);
+});
+
+test("flashes are verified against fill patterns", async () => {
+    let raw = createRawImage(24);
+    let sparse = await Sparse.fromRaw(new Blob([raw]));
+    let { bootloader, device } = await connectVirtual({
+        userspace: true,
+        partitions: { system: { size: raw.byteLength } },
+    });
+
+    await device.flashBlob("system", sparse, () => {}, { verify: true });
+    assert.ok(bootloader.commands.some((c) => c.startsWith("fetch:")));
+
+    // Pretend to flash a filled image without writing anything
+    bootloader.addCommandHandler((command) =>
+        command.startsWith("flash:") ? ["OKAY"] : undefined
+    );
+    bootloader.addPartition("vendor", { size: raw.byteLength });
+    let filled = await Sparse.fromRaw(
+        new Blob([new Uint8Array(raw.byteLength).fill(0xa5)])
+    );
+    await assert.rejects(
+        device.flashBlob("vendor", filled, () => {}, { verify: true }),
+        /Verification of vendor failed: data differs at offset 0/
+    );
+});
+
+test("filled and zeroed blocks of large raw images aren't sent", async () => {
+    let size = 16 * 1024 * 1024;
+    let raw = new Uint8Array(size);
+    raw.set(createRawImage(24));
+    raw.fill(0x5a, size / 2);
+    let { bootloader, device } = await connectVirtual({
+        partitions: { system: { size: size } },
+    });
+
+    await device.flashBlob("system", new Blob([raw]));
+
+    let downloads = bootloader.commands.filter((command) =>
+        command.startsWith("download:")
+    );
+    assert.equal(downloads.length, 1);
+    assert.ok(parseInt(downloads[0].slice(9), 16) < 64 * 1024);
+    assert.deepEqual(bootloader.readPartition("system"), raw);
+});
+
+test("raw-only partitions aren't converted to sparse images", async () => {
+    let size = 16 * 1024 * 1024;
+    let { bootloader, device } = await connectVirtual({
+        partitions: { modem: { size: size }, vendor: { size: size } },
+    });
+    device.rawOnlyPartitions.push("modem");
+
+    await device.flashBlob("vendor", new Blob([new Uint8Array(size)]));
+    await device.flashBlob("modem", new Blob([new Uint8Array(size)]));
+
+    let downloads = bootloader.commands.filter((command) =>
+        command.startsWith("download:")
+    );
+    assert.equal(downloads.length, 2);
+    assert.ok(parseInt(downloads[0].slice(9), 16) < size);
+    assert.equal(parseInt(downloads[1].slice(9), 16), size);
+});
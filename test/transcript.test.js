@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const { fastboot, randomBytes } = require("./helpers");
+
+function sha256(data) {
+    return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+// Records a session on a virtual bootloader, from connecting to flashing
+async function recordFlash(image) {
+    let bootloader = new fastboot.VirtualBootloader({
+        partitions: { dtbo: { size: image.length } },
+    });
+    let device = new fastboot.FastbootDevice(
+        new fastboot.VirtualTransport(bootloader)
+    );
+    let recorder = new fastboot.SessionRecorder(device);
+    await device.connect();
+    await device.flashBlob("dtbo", new Blob([image]));
+    bootloader.stage(image);
+    await device.getStaged();
+    return await recorder.stop();
+}
+
+function replay(transcript) {
+    let transport = new fastboot.ReplayTransport(transcript);
+    return { transport, device: new fastboot.FastbootDevice(transport) };
+}
+
+test("data events are hashed as they're transferred", async () => {
+    // Several bulk transfers in each direction
+    let image = randomBytes(64 * 1024);
+    let transcript = await recordFlash(image);
+
+    let data = transcript.entries.filter((entry) => entry.type === "data");
+    assert.deepEqual(
+        data.map((entry) => [entry.direction, entry.size, entry.sha256]),
+        [
+            ["out", image.length, sha256(image)],
+            ["in", image.length, sha256(image)],
+        ]
+    );
+    assert.ok(!("data" in data[0]));
+});
+
+test("recorded sessions are replayed from JSON", async () => {
+    let image = randomBytes(64 * 1024);
+    let transcript = JSON.parse(JSON.stringify(await recordFlash(image)));
+    assert.ok(
+        transcript.entries.some(
+            (entry) =>
+                entry.type === "command" && entry.command === "flash:dtbo"
+        )
+    );
+
+    let { transport, device } = replay(transcript);
+    await device.connect();
+    assert.deepEqual(await device.flashBlob("dtbo", new Blob([image])), [
+        "dtbo",
+    ]);
+    // Received data isn't recorded, so it's replayed as zeros
+    let staged = await device.getStaged();
+    assert.deepEqual(
+        new Uint8Array(await staged.arrayBuffer()),
+        new Uint8Array(image.length)
+    );
+    assert.ok(transport.isFinished);
+});
+
+test("replays reject commands that diverge from the transcript", async () => {
+    let image = randomBytes(8192);
+    let { device } = replay(await recordFlash(image));
+    await device.connect();
+
+    await assert.rejects(device.runCommand("flash:dtbo"), {
+        name: "ReplayError",
+        message: /^Expected command getvar:.*, but got command flash:dtbo$/,
+    });
+});
+
+test("replays reject downloads of a different size", async () => {
+    let image = randomBytes(8192);
+    let { device } = replay(await recordFlash(image));
+    await device.connect();
+
+    await assert.rejects(
+        device.flashBlob("dtbo", new Blob([randomBytes(16384)])),
+        {
+            name: "ReplayError",
+            message:
+                "Expected command download:00002000, but got command download:00004000",
+        }
+    );
+});
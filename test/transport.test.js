@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+    fastboot,
+    createUsbDevice,
+    mockUsb,
+    connectVirtual,
+} = require("./helpers");
+
+test.afterEach(() => {
+    delete globalThis.navigator;
+});
+
+test("commands run over the virtual transport", async () => {
+    let { bootloader, device } = await connectVirtual({ product: "sargo" });
+
+    assert.equal(await device.getVariable("product"), "sargo");
+    assert.equal(await device.getVariable("nonexistent"), null);
+    await assert.rejects(device.runCommand("oem unknown"), {
+        name: "FastbootError",
+        bootloaderMessage: "Unknown command",
+    });
+    assert.deepEqual(bootloader.commands, [
+        "getvar:serialno",
+        "getvar:product",
+        "getvar:nonexistent",
+        "oem unknown",
+    ]);
+});
+
+test("raw images are flashed to the virtual bootloader", async () => {
+    let { bootloader, device } = await connectVirtual({
+        partitions: { dtbo: { size: 8192 } },
+    });
+    let image = new Uint8Array(8192).fill(7);
+
+    await device.flashBlob("dtbo", new Blob([image]), () => {});
+
+    assert.deepEqual(bootloader.flashed, ["dtbo"]);
+    assert.deepEqual(bootloader.readPartition("dtbo"), image);
+});
+
+test("devices reconnect after rebooting", async () => {
+    let { bootloader, device } = await connectVirtual();
+
+    await device.reboot("fastboot", true);
+
+    assert.ok(device.isConnected);
+    assert.equal(bootloader.userspace, true);
+    assert.equal(await device.getVariable("is-userspace"), "yes");
+});
+
+test("USB packets are copied out of shared buffers", async () => {
+    let usbDevice = createUsbDevice("A", ["OKAY0.4"]);
+    mockUsb([usbDevice], usbDevice);
+    let transport = new fastboot.UsbTransport();
+    await transport.connect();
+
+    let packet = await transport.read(64);
+    assert.ok(packet instanceof ArrayBuffer);
+    assert.equal(new TextDecoder().decode(packet), "OKAY0.4");
+});
+
+test("deprecated USB fields forward to the WebUSB transport", async () => {
+    let usbDevice = createUsbDevice("A");
+    mockUsb([usbDevice], usbDevice);
+    let device = new fastboot.FastbootDevice();
+    await device.connect();
+
+    assert.equal(device.device, usbDevice);
+    assert.equal(device.epIn, 1);
+    assert.equal(device.epOut, 2);
+
+    let { device: virtualDevice } = await connectVirtual();
+    assert.equal(virtualDevice.device, null);
+    assert.equal(virtualDevice.epIn, null);
+    assert.throws(() => {
+        virtualDevice.device = usbDevice;
+    }, /only be set for the WebUSB transport/);
+});
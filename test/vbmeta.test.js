@@ -0,0 +1,211 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fastboot, randomBytes, makeZip, connectVirtual } = require("./helpers");
+
+const encoder = new TextEncoder();
+
+function pad(bytes, alignment) {
+    let padded = new Uint8Array(
+        Math.ceil(bytes.length / alignment) * alignment
+    );
+    padded.set(bytes);
+    return padded;
+}
+
+function concat(...parts) {
+    let result = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let offset = 0;
+    for (let part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
+
+function descriptor(tag, data) {
+    let header = new Uint8Array(16);
+    let view = new DataView(header.buffer);
+    data = pad(data, 8);
+    view.setBigUint64(0, BigInt(tag));
+    view.setBigUint64(8, BigInt(data.length));
+    return concat(header, data);
+}
+
+function propertyDescriptor(key, value) {
+    let sizes = new Uint8Array(16);
+    let view = new DataView(sizes.buffer);
+    view.setBigUint64(0, BigInt(key.length));
+    view.setBigUint64(8, BigInt(value.length));
+    return descriptor(0, concat(sizes, encoder.encode(`${key}\0${value}\0`)));
+}
+
+function hashDescriptor(partitionName, salt, digest) {
+    let fields = new Uint8Array(116);
+    let view = new DataView(fields.buffer);
+    view.setBigUint64(0, 4096n);
+    fields.set(encoder.encode("sha256"), 8);
+    view.setUint32(40, partitionName.length);
+    view.setUint32(44, salt.length);
+    view.setUint32(48, digest.length);
+    return descriptor(
+        2,
+        concat(fields, encoder.encode(partitionName), salt, digest)
+    );
+}
+
+// Unsigned-looking vbmeta image laid out like avbtool's output
+function createVbmeta({ flags = 0, publicKey = new Uint8Array(0) } = {}) {
+    let descriptors = concat(
+        propertyDescriptor("com.android.build.boot.os_version", "13"),
+        hashDescriptor(
+            "boot",
+            new Uint8Array([0xab, 0xcd]),
+            new Uint8Array(32).fill(0xef)
+        )
+    );
+    let auth = new Uint8Array(64);
+    let aux = pad(concat(publicKey, descriptors), 64);
+
+    let header = new Uint8Array(256);
+    let view = new DataView(header.buffer);
+    header.set(encoder.encode("AVB0"), 0);
+    view.setUint32(4, 1);
+    view.setUint32(8, 0);
+    view.setBigUint64(12, BigInt(auth.length));
+    view.setBigUint64(20, BigInt(aux.length));
+    view.setUint32(28, publicKey.length > 0 ? 1 : 0);
+    view.setBigUint64(64, 0n);
+    view.setBigUint64(72, BigInt(publicKey.length));
+    view.setBigUint64(96, BigInt(publicKey.length));
+    view.setBigUint64(104, BigInt(descriptors.length));
+    view.setBigUint64(112, 5n);
+    view.setUint32(120, flags);
+    view.setUint32(124, 0);
+    header.set(encoder.encode("avbtool 1.2.0"), 128);
+    return concat(header, auth, aux);
+}
+
+async function readBlob(blob) {
+    return new Uint8Array(await blob.arrayBuffer());
+}
+
+test("vbmeta images are parsed", async () => {
+    let publicKey = randomBytes(520, 1);
+    let vbmeta = await fastboot.parseVbmeta(
+        new Blob([createVbmeta({ flags: 1, publicKey: publicKey })])
+    );
+
+    assert.equal(vbmeta.requiredLibavbVersion, "1.0");
+    assert.equal(vbmeta.algorithm, "SHA256_RSA2048");
+    assert.equal(vbmeta.rollbackIndex, 5);
+    assert.equal(vbmeta.flags, fastboot.VbmetaFlags.HashtreeDisabled);
+    assert.equal(vbmeta.releaseString, "avbtool 1.2.0");
+    assert.equal(vbmeta.offset, 0);
+    assert.deepEqual(vbmeta.publicKey, publicKey);
+    assert.deepEqual(vbmeta.descriptors, [
+        {
+            type: "property",
+            key: "com.android.build.boot.os_version",
+            value: "13",
+        },
+        {
+            type: "hash",
+            partitionName: "boot",
+            imageSize: 4096,
+            hashAlgorithm: "sha256",
+            salt: "abcd",
+            digest: "ef".repeat(32),
+            flags: 0,
+        },
+    ]);
+});
+
+test("flags are set in vbmeta behind an AVB footer", async () => {
+    let vbmeta = createVbmeta();
+    let footer = new Uint8Array(64);
+    let view = new DataView(footer.buffer);
+    footer.set(encoder.encode("AVBf"), 0);
+    view.setBigUint64(12, 4096n);
+    view.setBigUint64(20, 4096n);
+    view.setBigUint64(28, BigInt(vbmeta.length));
+    let image = concat(
+        randomBytes(4096, 2),
+        vbmeta,
+        new Uint8Array(4096),
+        footer
+    );
+
+    let patched = await readBlob(
+        await fastboot.setVbmetaFlags(new Blob([image]), 3)
+    );
+
+    let parsed = await fastboot.parseVbmeta(new Blob([patched]));
+    assert.equal(parsed.offset, 4096);
+    assert.equal(parsed.flags, 3);
+    // Only the flags change
+    let expected = image.slice();
+    new DataView(expected.buffer).setUint32(4096 + 120, 3);
+    assert.deepEqual(patched, expected);
+});
+
+test("verity and verification are disabled when flashing vbmeta", async () => {
+    let { bootloader, device } = await connectVirtual({
+        partitions: {
+            vbmeta: { size: 4096 },
+            vbmeta_system: { size: 4096 },
+        },
+    });
+    let image = createVbmeta();
+    let options = { disableVerity: true, disableVerification: true };
+
+    await device.flashBlob("vbmeta", new Blob([image]), () => {}, options);
+    await device.flashBlob(
+        "vbmeta_system",
+        new Blob([image]),
+        () => {},
+        options
+    );
+
+    let expected = image.slice();
+    expected[123] = 3;
+    let flashed = bootloader.readPartition("vbmeta");
+    assert.deepEqual(flashed.subarray(0, image.length), expected);
+    // Only the main vbmeta is patched unless requested otherwise
+    flashed = bootloader.readPartition("vbmeta_system");
+    assert.deepEqual(flashed.subarray(0, image.length), image);
+});
+
+test("custom AVB key mismatches abort before flashing", async () => {
+    let { bootloader, device } = await connectVirtual({
+        partitions: {
+            bootloader: { size: 4096 },
+            boot: { size: 4096 },
+            vbmeta: { size: 4096 },
+            avb_custom_key: { size: 4096 },
+        },
+    });
+    let zip = await makeZip({
+        "bootloader-virtual.img": new Uint8Array(4096).fill(1),
+        "avb_pkmd.bin": randomBytes(520, 1),
+        "image-virtual-factory.zip": await makeZip({
+            "boot.img": new Uint8Array(4096).fill(2),
+            "vbmeta.img": createVbmeta({ publicKey: randomBytes(520, 2) }),
+        }),
+    });
+
+    await assert.rejects(
+        device.flashFactoryZip(
+            zip,
+            false,
+            () => {},
+            () => {}
+        ),
+        {
+            name: "FastbootError",
+            bootloaderMessage:
+                "Custom AVB key in avb_pkmd.bin doesn't match the key vbmeta.img is signed with",
+        }
+    );
+    assert.deepEqual(bootloader.flashed, []);
+    assert.ok(!bootloader.commands.some((c) => c.startsWith("download:")));
+});